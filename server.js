@@ -1,5 +1,12 @@
 import express from "express";
 import cors from "cors";
+import {
+    createHash,
+    createHmac,
+    randomBytes,
+    randomUUID,
+    timingSafeEqual,
+} from "crypto";
 import { fileURLToPath } from "url";
 import path from "path";
 import { Octokit } from "@octokit/rest";
@@ -15,6 +22,64 @@ const IS_PRODUCTION = NODE_ENV === "production";
 
 const GITHUB_TOKEN_PATTERN = /^gh[ps]_[a-zA-Z0-9]{36,}$/;
 const ITEMS_PER_PAGE = 100;
+const REVIEW_EVENTS = ["APPROVE", "REQUEST_CHANGES", "COMMENT"];
+
+const CACHE_TTL_MS =
+    parseInt(process.env.GITHUB_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+
+// Incremental updates re-read this much before the last sync, so comments
+// aren't missed when the server and GitHub clocks disagree
+const UPDATE_OVERLAP_MS = 60 * 1000;
+
+// Watched PRs are polled once centrally and changes pushed over SSE
+const WATCH_POLL_INTERVAL_MS = 30 * 1000;
+const WATCH_CONNECT_TIMEOUT_MS = 60 * 1000;
+
+// Below this share of the hourly budget, polling backs off until the reset
+const RATE_LIMIT_LOW_RATIO = 0.1;
+
+const SESSION_COOKIE = "sprr_session";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// OAuth device flow login; the base URL can point at a local stub for testing
+const GITHUB_OAUTH_CLIENT_ID = process.env.GITHUB_OAUTH_CLIENT_ID || "";
+const GITHUB_OAUTH_BASE_URL = (
+    process.env.GITHUB_OAUTH_BASE_URL || "https://github.com"
+).replace(/\/+$/, "");
+const GITHUB_OAUTH_SCOPE = "repo";
+
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+
+// Private repositories can't be read without this scope on classic tokens
+const REQUIRED_SCOPE = "repo";
+
+// Hosts credentials can be saved for: github.com plus any GitHub Enterprise
+// Server hosts listed (comma separated) in GITHUB_ENTERPRISE_HOSTS
+const DEFAULT_HOST = "github.com";
+const KNOWN_HOSTS = [
+    DEFAULT_HOST,
+    ...(process.env.GITHUB_ENTERPRISE_HOSTS || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase())
+        .filter((host) => host && host !== DEFAULT_HOST),
+];
+
+// Device logins create accounts for the host GITHUB_OAUTH_BASE_URL points at
+// and check the issued tokens against that server's API. A base URL that
+// isn't a known host (such as a local stub) needs GITHUB_OAUTH_HOST to name
+// the host its accounts belong to; startup fails otherwise
+const DEVICE_LOGIN_HOST =
+    process.env.GITHUB_OAUTH_HOST?.trim().toLowerCase() ||
+    KNOWN_HOSTS.find((host) => GITHUB_OAUTH_BASE_URL === `https://${host}`) ||
+    null;
+const DEVICE_LOGIN_API_URL =
+    GITHUB_OAUTH_BASE_URL === "https://github.com"
+        ? "https://api.github.com"
+        : `${GITHUB_OAUTH_BASE_URL}/api/v3`;
+
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || "";
+const WEBHOOK_PATH = "/api/webhook";
 
 // ============================================================================
 // Express App Setup
@@ -23,7 +88,17 @@ const ITEMS_PER_PAGE = 100;
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+app.use(
+    express.json({
+        limit: "1mb",
+        // Webhook signatures are computed over the exact bytes GitHub sent
+        verify: (req, res, buf) => {
+            if (req.path === WEBHOOK_PATH) {
+                req.rawBody = buf;
+            }
+        },
+    }),
+);
 
 // Serve static files in production
 if (IS_PRODUCTION) {
@@ -90,21 +165,26 @@ function validateNumber(number) {
  * Fetches all pages of results from GitHub API
  * @param {Function} method - Octokit method to call
  * @param {Object} params - Parameters for the method
+ * @param {Object} cache - Optional { key, bypass } to make conditional requests per page
  * @returns {Promise<Array>} - All results combined
  */
-async function fetchAll(method, params) {
+async function fetchAll(method, params, cache = null) {
     const results = [];
     let page = 1;
+    let cachedPages = 0;
 
     try {
         while (true) {
-            const { data } = await method({
-                ...params,
-                per_page: ITEMS_PER_PAGE,
-                page,
-            });
+            const pageParams = { ...params, per_page: ITEMS_PER_PAGE, page };
+            const { data, fromCache } = cache
+                ? await conditionalRequest(method, pageParams, {
+                      key: `${cache.key}:${page}`,
+                      bypass: cache.bypass,
+                  })
+                : await method(pageParams);
 
             results.push(...data);
+            if (fromCache) cachedPages++;
 
             // GitHub returns less than per_page items on the last page
             if (data.length < ITEMS_PER_PAGE) {
@@ -114,7 +194,10 @@ async function fetchAll(method, params) {
             page++;
         }
 
-        log("INFO", `Fetched ${results.length} items across ${page} pages`);
+        log(
+            "INFO",
+            `Fetched ${results.length} items across ${page} pages (${cachedPages} from cache)`,
+        );
         return results;
     } catch (error) {
         log("ERROR", "Error fetching paginated results", {
@@ -140,273 +223,2452 @@ function sendError(res, status, message, details = {}) {
     });
 }
 
-// ============================================================================
-// Middleware
-// ============================================================================
+/**
+ * Codes of authentication errors, telling the browser whether the session
+ * itself is gone, GitHub rejected one of its saved tokens or no account is
+ * saved for the PR's host
+ */
+const AUTH_ERROR_CODES = {
+    notSignedIn: "not_signed_in",
+    credentialInvalid: "credential_invalid",
+    noCredential: "no_credential",
+};
 
 /**
- * Validates GitHub token from request body
+ * Maps a GitHub API error to a standardized error response
+ * A 401 from GitHub only concerns the token used: its credential is flagged
+ * invalid and the session stays signed in with its other accounts
+ * @param {Object} req - Express request object, with req.credential when a saved token was used
+ * @param {Object} res - Express response object
+ * @param {Object} error - Error thrown by Octokit
+ * @param {number} startTime - Request start timestamp
+ * @param {Object} messages - { notFound, forbidden, fallback } error messages
  */
-function validateToken(req, res, next) {
-    const { token } = req.body;
+function sendGitHubError(req, res, error, startTime, messages) {
+    const duration = `${Date.now() - startTime}ms`;
 
-    if (!token) {
-        return sendError(res, 401, "Authentication token is required");
-    }
+    if (error.status === 401) {
+        if (req.credential) req.credential.invalid = true;
 
-    if (!isValidTokenFormat(token)) {
-        log("WARN", "Token format validation failed", {
-            tokenPrefix: token.substring(0, 4),
+        return sendError(res, 401, "Invalid or expired GitHub token", {
+            code: AUTH_ERROR_CODES.credentialInvalid,
+            credentialId: req.credential?.id ?? null,
+            host: req.credential?.host ?? req.body?.host ?? DEFAULT_HOST,
+            duration,
         });
-        // Still allow it but warn - let GitHub API validate
     }
 
-    next();
+    if (error.status === 404) {
+        return sendError(res, 404, messages.notFound, { duration });
+    }
+
+    if (isRateLimitError(error)) {
+        const rateLimit = rateLimitFromHeaders(error.response?.headers);
+        const resetTime = rateLimit
+            ? ` until ${new Date(rateLimit.reset).toLocaleTimeString()}`
+            : "";
+        return sendError(
+            res,
+            429,
+            `GitHub API rate limit exceeded${resetTime}`,
+            {
+                duration,
+                rateLimit: rateLimit && {
+                    ...rateLimit,
+                    credentialId: req.credential?.id ?? null,
+                },
+            },
+        );
+    }
+
+    if (error.status === 403) {
+        return sendError(res, 403, messages.forbidden, { duration });
+    }
+
+    if (error.status === 422) {
+        return sendError(
+            res,
+            422,
+            error.response?.data?.errors?.[0]?.message ||
+                error.response?.data?.message ||
+                error.message,
+            { duration },
+        );
+    }
+
+    // Generic error
+    sendError(res, error.status || 500, error.message || messages.fallback, {
+        duration,
+    });
 }
 
 // ============================================================================
-// API Routes
+// Sessions
 // ============================================================================
 
 /**
- * POST /api/pr/:owner/:repo/:number
- * Fetches pull request data including comments, reviews, and files
+ * Signed-in sessions keyed by the random id stored in the session cookie
+ * A session holds any number of saved credentials (accounts); tokens only
+ * live here, never in the browser
+ * @type {Map<string, {credentials: Array<Object>, activeId: string|null, createdAt: number, lastSeenAt: number}>}
  */
-app.post("/api/pr/:owner/:repo/:number", validateToken, async (req, res) => {
-    const startTime = Date.now();
+const sessions = new Map();
 
-    try {
-        const { owner, repo, number } = req.params;
-
-        // Validate parameters
-        const ownerValidation = validateParam(owner, "owner");
-        if (!ownerValidation.valid) {
-            return sendError(res, 400, ownerValidation.error);
-        }
+/**
+ * Parses a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {Object} - Cookie values keyed by name
+ */
+function parseCookies(header) {
+    const cookies = {};
 
-        const repoValidation = validateParam(repo, "repo");
-        if (!repoValidation.valid) {
-            return sendError(res, 400, repoValidation.error);
-        }
+    for (const pair of (header || "").split(";")) {
+        const index = pair.indexOf("=");
+        if (index === -1) continue;
 
-        const numberValidation = validateNumber(number);
-        if (!numberValidation.valid) {
-            return sendError(res, 400, numberValidation.error);
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch {
+            // Ignore malformed values set by other apps on the same host
         }
+    }
 
-        log("INFO", "Fetching PR data", {
-            owner,
-            repo,
-            number: numberValidation.value,
-        });
+    return cookies;
+}
 
-        const octokit = new Octokit({ auth: req.body.token });
-        const prNumber = numberValidation.value;
+/**
+ * Builds the session Set-Cookie header value
+ * @param {string} value - Session id, or empty string to clear the cookie
+ * @param {number} maxAge - Cookie lifetime in milliseconds
+ * @returns {string} - Set-Cookie header value
+ */
+function sessionCookie(value, maxAge) {
+    return [
+        `${SESSION_COOKIE}=${value}`,
+        "Path=/api",
+        "HttpOnly",
+        "SameSite=Strict",
+        `Max-Age=${Math.floor(maxAge / 1000)}`,
+        ...(IS_PRODUCTION ? ["Secure"] : []),
+    ].join("; ");
+}
 
-        // Fetch all data in parallel
-        const [pr, comments, reviewComments, reviews, files] =
-            await Promise.all([
-                octokit.pulls
-                    .get({ owner, repo, pull_number: prNumber })
-                    .then((r) => r.data),
-                fetchAll(octokit.issues.listComments.bind(octokit.issues), {
-                    owner,
-                    repo,
-                    issue_number: prNumber,
-                }),
-                fetchAll(octokit.pulls.listReviewComments.bind(octokit.pulls), {
-                    owner,
-                    repo,
-                    pull_number: prNumber,
-                }),
-                fetchAll(octokit.pulls.listReviews.bind(octokit.pulls), {
-                    owner,
-                    repo,
-                    pull_number: prNumber,
-                }),
-                fetchAll(octokit.pulls.listFiles.bind(octokit.pulls), {
-                    owner,
-                    repo,
-                    pull_number: prNumber,
-                }),
-            ]);
+/**
+ * Creates an empty session
+ * @returns {string} - Session id
+ */
+function createSession() {
+    const id = randomBytes(32).toString("hex");
+    const now = Date.now();
+    sessions.set(id, {
+        credentials: [],
+        activeId: null,
+        createdAt: now,
+        lastSeenAt: now,
+    });
+    return id;
+}
 
-        const duration = Date.now() - startTime;
-        log("INFO", "PR data fetched successfully", {
-            owner,
-            repo,
-            number: prNumber,
-            duration: `${duration}ms`,
-            commentCount: comments.length,
-            reviewCommentCount: reviewComments.length,
-            reviewCount: reviews.length,
-            fileCount: files.length,
-        });
+/**
+ * Normalizes a list of repository owners from a comma separated string or array
+ * @param {string|Array<string>} owners - Owners as entered by the user
+ * @returns {Array<string>} - Lowercase owner names without duplicates
+ */
+function normalizeOwners(owners) {
+    const list = Array.isArray(owners)
+        ? owners
+        : String(owners || "").split(",");
+    return [
+        ...new Set(
+            list
+                .map((owner) => String(owner).trim().toLowerCase())
+                .filter(Boolean),
+        ),
+    ];
+}
 
-        res.json({ pr, comments, reviewComments, reviews, files });
-    } catch (error) {
-        const duration = Date.now() - startTime;
+/**
+ * Saves a verified credential in a session and makes it active
+ * Signing in again to the same account on the same host replaces its token
+ * @param {Object} session - Session to add to
+ * @param {Object} credential - { token, user, label, host, owners, apiUrl },
+ *   apiUrl being the API the token was verified against (the host's by default)
+ * @returns {Object} - Saved credential
+ */
+function addCredential(
+    session,
+    { token, user, label, host, owners, apiUrl = apiBaseUrl(host) },
+) {
+    const existing = session.credentials.find(
+        (c) => c.host === host && c.user.login === user.login,
+    );
+
+    const credential = {
+        id: existing?.id ?? randomUUID(),
+        label: label || existing?.label || user.login,
+        host,
+        owners: owners.length ? owners : (existing?.owners ?? []),
+        apiUrl,
+        token,
+        user,
+        invalid: false,
+    };
+
+    session.credentials = existing
+        ? session.credentials.map((c) => (c === existing ? credential : c))
+        : [...session.credentials, credential];
+    session.activeId = credential.id;
+
+    return credential;
+}
 
-        // Handle specific GitHub API errors
-        if (error.status === 401) {
-            return sendError(res, 401, "Invalid or expired GitHub token", {
-                duration: `${duration}ms`,
-            });
-        }
+/**
+ * Describes a session for the browser, leaving tokens out
+ * @param {Object|null} session - Session
+ * @returns {Object} - { authenticated, activeId, credentials }
+ */
+function describeSession(session) {
+    return {
+        authenticated: !!session?.credentials.length,
+        activeId: session?.activeId ?? null,
+        credentials: (session?.credentials ?? []).map(
+            ({ id, label, host, owners, user, invalid }) => ({
+                id,
+                label,
+                host,
+                owners,
+                user,
+                invalid,
+            }),
+        ),
+    };
+}
 
-        if (error.status === 404) {
-            return sendError(
-                res,
-                404,
-                "Pull request not found or access denied",
-                { duration: `${duration}ms` },
-            );
-        }
+/**
+ * Picks the credential to use for a repository
+ * Only credentials for the repository's host are considered. A credential
+ * wins when the owner is listed in its owners or is its own account;
+ * otherwise the active credential is used, then the first one for the host
+ * @param {Object} session - Session
+ * @param {Object} repository - { owner, host }
+ * @returns {Object|null} - Credential, or null if none is saved for the host
+ */
+function resolveCredential(session, { owner, host = DEFAULT_HOST }) {
+    const candidates = session.credentials.filter(
+        (c) => c.host === host && !c.invalid,
+    );
+    const ownerName = owner?.toLowerCase();
+
+    return (
+        (ownerName &&
+            candidates.find(
+                (c) =>
+                    c.owners.includes(ownerName) ||
+                    c.user.login.toLowerCase() === ownerName,
+            )) ||
+        candidates.find((c) => c.id === session.activeId) ||
+        candidates[0] ||
+        null
+    );
+}
 
-        if (error.status === 403) {
-            return sendError(
-                res,
-                403,
-                "Rate limit exceeded or insufficient permissions",
-                { duration: `${duration}ms` },
-            );
-        }
+/**
+ * Gets the active credential of a session
+ * @param {Object|null} session - Session
+ * @returns {Object|null} - Active credential, or null if signed out
+ */
+function activeCredential(session) {
+    return session?.credentials.find((c) => c.id === session.activeId) ?? null;
+}
 
-        // Generic error
-        sendError(
-            res,
-            error.status || 500,
-            error.message || "Failed to fetch PR data",
-            { duration: `${duration}ms` },
-        );
-    }
-});
+/**
+ * Finds the saved credentials holding a token in sessions still alive
+ * Watchers outlive the request that registered them, so they look their
+ * token up again instead of keeping the credential
+ * @param {string} token - GitHub token
+ * @returns {Array<Object>} - Credentials, empty once every one was removed or signed out
+ */
+function credentialsWithToken(token) {
+    const now = Date.now();
+    return [...sessions.values()]
+        .filter((session) => now - session.lastSeenAt <= SESSION_TTL_MS)
+        .flatMap((session) => session.credentials)
+        .filter((credential) => credential.token === token);
+}
 
 /**
- * PATCH /api/comment/:type/:owner/:repo/:id
- * Updates a comment (issue comment or review comment)
+ * Checks a token against GitHub and reads who it belongs to
+ * Classic tokens list their scopes in X-OAuth-Scopes; fine-grained tokens
+ * don't send the header, so their scopes are null and can't be checked
+ * @param {string} token - GitHub token
+ * @param {string} host - Host the token belongs to
+ * @param {string} [baseUrl] - API base URL, defaults to the host's API
+ * @returns {Promise<Object>} - { login, name, avatarUrl, scopes, missingRepoScope }
+ * @throws {Error} - Octokit error if the token is rejected
  */
-app.patch(
-    "/api/comment/:type/:owner/:repo/:id",
-    validateToken,
-    async (req, res) => {
-        const startTime = Date.now();
+async function verifyToken(
+    token,
+    host = DEFAULT_HOST,
+    baseUrl = apiBaseUrl(host),
+) {
+    const { data, headers } = await createOctokit(
+        token,
+        host,
+        baseUrl,
+    ).users.getAuthenticated();
+
+    const scopeHeader = headers["x-oauth-scopes"];
+    const scopes =
+        scopeHeader === undefined
+            ? null
+            : scopeHeader
+                  .split(",")
+                  .map((scope) => scope.trim())
+                  .filter(Boolean);
+
+    return {
+        login: data.login,
+        name: data.name,
+        avatarUrl: data.avatar_url,
+        scopes,
+        missingRepoScope: scopes !== null && !scopes.includes(REQUIRED_SCOPE),
+    };
+}
 
-        try {
-            const { type, owner, repo, id } = req.params;
-            const { body } = req.body;
+/**
+ * Finds the session of a request and extends it
+ * Sessions expire after SESSION_TTL_MS without use
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Session, or null if not signed in
+ */
+function getSession(req) {
+    const id = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+    const session = id && sessions.get(id);
+    if (!session) return null;
+
+    if (
+        Date.now() - session.lastSeenAt > SESSION_TTL_MS ||
+        !session.credentials.length
+    ) {
+        sessions.delete(id);
+        return null;
+    }
 
-            // Validate parameters
-            if (!["issue", "review"].includes(type)) {
-                return sendError(
-                    res,
-                    400,
-                    "Invalid comment type. Must be 'issue' or 'review'",
-                );
-            }
+    session.lastSeenAt = Date.now();
+    return session;
+}
 
-            const ownerValidation = validateParam(owner, "owner");
-            if (!ownerValidation.valid) {
-                return sendError(res, 400, ownerValidation.error);
-            }
+/**
+ * Forgets sessions that expired
+ */
+function pruneSessions() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+        if (now - session.lastSeenAt > SESSION_TTL_MS) sessions.delete(id);
+    }
+}
 
-            const repoValidation = validateParam(repo, "repo");
-            if (!repoValidation.valid) {
-                return sendError(res, 400, repoValidation.error);
-            }
+setInterval(pruneSessions, 60 * 60 * 1000).unref();
 
-            const idValidation = validateNumber(id);
-            if (!idValidation.valid) {
-                return sendError(res, 400, "Invalid comment ID");
-            }
+// ============================================================================
+// OAuth Device Flow
+// ============================================================================
 
-            if (!body || typeof body !== "string" || body.trim() === "") {
-                return sendError(res, 400, "Comment body is required");
-            }
+/**
+ * Device logins waiting for the user to enter their code on GitHub, keyed by
+ * an id handed to the browser; the device code itself stays on the server.
+ * An issued token is kept until it could be verified
+ * @type {Map<string, {deviceCode: string, host: string, apiUrl: string, expiresAt: number, interval: number, lastPolledAt: number, accessToken?: string}>}
+ */
+const deviceLogins = new Map();
 
-            log("INFO", "Updating comment", {
-                type,
-                owner,
-                repo,
-                commentId: idValidation.value,
-            });
+/**
+ * Posts a form to a GitHub OAuth endpoint and returns its JSON answer
+ * GitHub reports flow errors (pending, expired...) with a 200 and an error field
+ * @param {string} endpoint - Path under GITHUB_OAUTH_BASE_URL
+ * @param {Object} params - Form fields
+ * @returns {Promise<Object>} - Parsed response
+ * @throws {Error} - If the request fails or the answer isn't JSON
+ */
+async function postOAuth(endpoint, params) {
+    const response = await fetch(`${GITHUB_OAUTH_BASE_URL}${endpoint}`, {
+        method: "POST",
+        headers: {
+            Accept: "application/json",
+            "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(params).toString(),
+    });
 
-            const octokit = new Octokit({ auth: req.body.token });
+    if (!response.ok) {
+        const error = new Error(
+            `GitHub OAuth request failed (${response.status})`,
+        );
+        error.status = response.status;
+        throw error;
+    }
 
-            const method =
-                type === "issue"
-                    ? octokit.issues.updateComment
-                    : octokit.pulls.updateReviewComment;
+    return response.json();
+}
 
-            const { data } = await method({
-                owner,
-                repo,
-                comment_id: idValidation.value,
-                body: body.trim(),
-            });
+/**
+ * Forgets device logins whose code expired
+ */
+function pruneDeviceLogins() {
+    const now = Date.now();
+    for (const [id, login] of deviceLogins) {
+        if (now > login.expiresAt) deviceLogins.delete(id);
+    }
+}
 
-            const duration = Date.now() - startTime;
-            log("INFO", "Comment updated successfully", {
-                type,
-                owner,
-                repo,
-                commentId: idValidation.value,
-                duration: `${duration}ms`,
-            });
+setInterval(pruneDeviceLogins, 5 * 60 * 1000).unref();
 
-            res.json(data);
-        } catch (error) {
-            const duration = Date.now() - startTime;
+// ============================================================================
+// Response Cache
+// ============================================================================
 
-            // Handle specific GitHub API errors
-            if (error.status === 401) {
-                return sendError(res, 401, "Invalid or expired GitHub token", {
-                    duration: `${duration}ms`,
-                });
-            }
+/**
+ * GitHub responses with their ETags, keyed by token hash and request
+ * Map order doubles as recency order: entries are re-inserted when used
+ * @type {Map<string, {etag: string, data: *, storedAt: number}>}
+ */
+const responseCache = new Map();
 
-            if (error.status === 404) {
-                return sendError(
-                    res,
-                    404,
-                    "Comment not found or access denied",
-                    { duration: `${duration}ms` },
-                );
-            }
+/**
+ * Hashes a token so cache keys never contain credentials
+ * @param {string} token - GitHub token
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hashToken(token) {
+    return createHash("sha256").update(String(token)).digest("hex");
+}
 
-            if (error.status === 403) {
-                return sendError(
-                    res,
-                    403,
-                    "Insufficient permissions to update comment",
-                    { duration: `${duration}ms` },
-                );
-            }
+/**
+ * Builds the cache key prefix for one endpoint of a pull request
+ * @param {string} token - GitHub token the data is fetched with
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Pull request number
+ * @param {string} endpoint - Endpoint name
+ * @returns {string} - Cache key
+ */
+function prCacheKey(token, owner, repo, number, endpoint) {
+    return `${hashToken(token)}:${owner}/${repo}#${number}:${endpoint}`;
+}
 
-            // Generic error
-            sendError(
-                res,
-                error.status || 500,
-                error.message || "Failed to update comment",
-                { duration: `${duration}ms` },
-            );
-        }
-    },
-);
+/**
+ * Stores a response, evicting the least recently used entries past the cap
+ * @param {string} key - Cache key
+ * @param {string} etag - ETag returned by GitHub
+ * @param {*} data - Response data
+ */
+function storeCachedResponse(key, etag, data) {
+    responseCache.delete(key);
+    responseCache.set(key, { etag, data, storedAt: Date.now() });
 
-// ============================================================================
-// Health Check Endpoint
-// ============================================================================
+    while (responseCache.size > CACHE_MAX_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+}
 
 /**
- * GET /api/health
- * Health check endpoint
+ * Calls an Octokit method with If-None-Match when a cached ETag exists
+ * GitHub answers unchanged resources with 304, which doesn't count against
+ * the rate limit, and the cached data is returned instead
+ * @param {Function} method - Octokit method to call
+ * @param {Object} params - Parameters for the method
+ * @param {Object} cache - { key, bypass } where bypass skips the cached ETag
+ * @returns {Promise<{data: *, fromCache: boolean}>} - Response data and whether it came from the cache
  */
-app.get("/api/health", (req, res) => {
-    res.json({
-        status: "healthy",
+async function conditionalRequest(method, params, { key, bypass = false }) {
+    let cached = responseCache.get(key);
+
+    if (cached && Date.now() - cached.storedAt > CACHE_TTL_MS) {
+        responseCache.delete(key);
+        cached = null;
+    }
+
+    const conditional = cached && !bypass;
+
+    try {
+        const response = await method(
+            conditional
+                ? { ...params, headers: { "if-none-match": cached.etag } }
+                : params,
+        );
+
+        if (response.headers.etag) {
+            storeCachedResponse(key, response.headers.etag, response.data);
+        }
+
+        return { data: response.data, fromCache: false };
+    } catch (error) {
+        if (error.status === 304 && conditional) {
+            storeCachedResponse(key, cached.etag, cached.data);
+            return { data: cached.data, fromCache: true };
+        }
+        throw error;
+    }
+}
+
+// ============================================================================
+// Rate Limits
+// ============================================================================
+
+/**
+ * Latest core rate limit seen for each token, keyed by token hash
+ * @type {Map<string, Object>}
+ */
+const rateLimits = new Map();
+
+/**
+ * Reads GitHub's rate limit headers
+ * @param {Object} headers - Response headers
+ * @returns {Object|null} - { limit, remaining, used, reset, low } with reset
+ *   as an ISO timestamp, or null if the headers are missing
+ */
+function rateLimitFromHeaders(headers) {
+    const limit = parseInt(headers?.["x-ratelimit-limit"], 10);
+    const remaining = parseInt(headers?.["x-ratelimit-remaining"], 10);
+    const reset = parseInt(headers?.["x-ratelimit-reset"], 10);
+
+    if (isNaN(limit) || isNaN(remaining) || isNaN(reset)) {
+        return null;
+    }
+
+    return {
+        limit,
+        remaining,
+        used: limit - remaining,
+        reset: new Date(reset * 1000).toISOString(),
+        low: remaining <= limit * RATE_LIMIT_LOW_RATIO,
+    };
+}
+
+/**
+ * Records the rate limit headers of a GitHub response for a token
+ * Only the core REST budget is tracked; search and GraphQL have their own
+ * @param {string} token - GitHub token the request was made with
+ * @param {Object} headers - Response headers
+ */
+function recordRateLimit(token, headers) {
+    const resource = headers?.["x-ratelimit-resource"];
+    if (resource && resource !== "core") return;
+
+    const rateLimit = rateLimitFromHeaders(headers);
+    if (rateLimit) {
+        rateLimits.set(hashToken(token), rateLimit);
+    }
+}
+
+/**
+ * Gets the latest known rate limit of a token
+ * @param {string} token - GitHub token
+ * @returns {Object|null} - Rate limit, or null if no request was made yet
+ */
+function getRateLimit(token) {
+    return token ? (rateLimits.get(hashToken(token)) ?? null) : null;
+}
+
+/**
+ * Gets the latest known rate limit of a saved credential, tagged with the
+ * credential's id so the browser keeps each account's budget apart
+ * @param {Object|null} credential - Saved credential
+ * @returns {Object|null} - Rate limit with credentialId, or null if no request was made yet
+ */
+function credentialRateLimit(credential) {
+    const rateLimit = getRateLimit(credential?.token);
+    return rateLimit && { ...rateLimit, credentialId: credential.id };
+}
+
+/**
+ * Tells rate limit errors apart from permission errors, which GitHub both
+ * answers with 403 (secondary limits only say so in the message)
+ * @param {Object} error - Error thrown by Octokit
+ * @returns {boolean} - True if the request was rejected for rate limiting
+ */
+function isRateLimitError(error) {
+    if (error.status === 429) return true;
+    if (error.status !== 403) return false;
+
+    return (
+        error.response?.headers?.["x-ratelimit-remaining"] === "0" ||
+        /rate limit/i.test(error.message || "")
+    );
+}
+
+/**
+ * Gets the REST API base URL of a GitHub host
+ * GitHub Enterprise Server serves the API under /api/v3 of its own host
+ * @param {string} host - github.com or a GitHub Enterprise Server host
+ * @returns {string} - API base URL
+ */
+function apiBaseUrl(host) {
+    return host === DEFAULT_HOST
+        ? "https://api.github.com"
+        : `https://${host}/api/v3`;
+}
+
+/**
+ * Creates an Octokit client that records the rate limit of every response,
+ * including errors and 304s
+ * @param {string} token - GitHub token
+ * @param {string} host - Host the token belongs to
+ * @param {string} [baseUrl] - API base URL, defaults to the host's API
+ * @returns {Object} - Octokit client
+ */
+function createOctokit(token, host = DEFAULT_HOST, baseUrl = apiBaseUrl(host)) {
+    const octokit = new Octokit({ auth: token, baseUrl });
+
+    octokit.hook.after("request", (response) => {
+        recordRateLimit(token, response.headers);
+    });
+    octokit.hook.error("request", (error) => {
+        recordRateLimit(token, error.response?.headers);
+        throw error;
+    });
+
+    return octokit;
+}
+
+// ============================================================================
+// Review Threads
+// ============================================================================
+
+// Whether a review thread is resolved is only exposed through GraphQL
+const REVIEW_THREADS_QUERY = `
+    query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $repo) {
+            pullRequest(number: $number) {
+                reviewThreads(first: 100, after: $cursor) {
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
+                    nodes {
+                        isResolved
+                        comments(first: 1) {
+                            nodes {
+                                databaseId
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+/**
+ * Lists the review threads of a pull request that were marked resolved
+ * Threads are identified by the REST id of their first comment. Failures
+ * are logged and reported as unknown so the rest of the PR still loads
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - { owner, repo, prNumber }
+ * @returns {Promise<Array<number>|null>} - Root comment ids of resolved threads, or null if unknown
+ */
+async function fetchResolvedThreads(octokit, { owner, repo, prNumber }) {
+    const resolved = [];
+    let cursor = null;
+
+    try {
+        do {
+            const { repository } = await octokit.graphql(REVIEW_THREADS_QUERY, {
+                owner,
+                repo,
+                number: prNumber,
+                cursor,
+            });
+            const threads = repository?.pullRequest?.reviewThreads;
+            if (!threads) break;
+
+            for (const thread of threads.nodes) {
+                const rootId = thread.comments.nodes[0]?.databaseId;
+                if (thread.isResolved && rootId) resolved.push(rootId);
+            }
+
+            cursor = threads.pageInfo.hasNextPage
+                ? threads.pageInfo.endCursor
+                : null;
+        } while (cursor);
+    } catch (error) {
+        log("WARN", "Failed to fetch review thread resolution", {
+            owner,
+            repo,
+            number: prNumber,
+            error: error.message,
+        });
+        return null;
+    }
+
+    return resolved;
+}
+
+// ============================================================================
+// PR Updates
+// ============================================================================
+
+/**
+ * Fetches comments created or changed since a point in time, with the
+ * current PR and reviews; files are only fetched when the head commit moved
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} options - { token, owner, repo, prNumber, since, headSha }
+ *   where since is a timestamp in milliseconds
+ * @returns {Promise<Object>} - { pr, comments, reviewComments, reviews, files }
+ *   with files null when the head commit is unchanged
+ */
+async function fetchPRUpdates(
+    octokit,
+    { token, owner, repo, prNumber, since, headSha },
+) {
+    const sinceParam = new Date(since - UPDATE_OVERLAP_MS).toISOString();
+
+    /**
+     * Cache options for one endpoint of this pull request
+     * @param {string} endpoint - Endpoint name
+     * @returns {Object} - { key, bypass }
+     */
+    const cacheFor = (endpoint) => ({
+        key: prCacheKey(token, owner, repo, prNumber, endpoint),
+        bypass: false,
+    });
+
+    // Listings filtered by since change every time, so they skip the cache
+    const [pr, comments, reviewComments, reviews] = await Promise.all([
+        conditionalRequest(
+            octokit.pulls.get.bind(octokit.pulls),
+            { owner, repo, pull_number: prNumber },
+            cacheFor("pr"),
+        ).then((r) => r.data),
+        fetchAll(octokit.issues.listComments.bind(octokit.issues), {
+            owner,
+            repo,
+            issue_number: prNumber,
+            since: sinceParam,
+        }),
+        fetchAll(octokit.pulls.listReviewComments.bind(octokit.pulls), {
+            owner,
+            repo,
+            pull_number: prNumber,
+            since: sinceParam,
+        }),
+        fetchAll(
+            octokit.pulls.listReviews.bind(octokit.pulls),
+            { owner, repo, pull_number: prNumber },
+            cacheFor("reviews"),
+        ),
+    ]);
+
+    const files =
+        pr.head.sha === headSha
+            ? null
+            : await fetchAll(
+                  octokit.pulls.listFiles.bind(octokit.pulls),
+                  { owner, repo, pull_number: prNumber },
+                  cacheFor("files"),
+              );
+
+    return { pr, comments, reviewComments, reviews, files };
+}
+
+// ============================================================================
+// Live Updates (Server-Sent Events)
+// ============================================================================
+
+/**
+ * Watched PRs keyed by token hash and PR, each polled by a single timer
+ * however many panels or tabs listen to it
+ * @type {Map<string, Object>}
+ */
+const watchers = new Map();
+
+/**
+ * Subscriptions handed out by POST /api/watch, mapping a watch id to its
+ * watcher key; EventSource reconnects reuse the same id
+ * @type {Map<string, {key: string, createdAt: number}>}
+ */
+const subscriptions = new Map();
+
+/**
+ * Builds a fingerprint of everything a client renders from an update, so
+ * polls that only repeat known data aren't pushed
+ * @param {Object} item - Comment or review
+ * @returns {string} - Version fingerprint
+ */
+function versionOf(item) {
+    return `${item.updated_at}|${item.state}|${item.body}`;
+}
+
+/**
+ * Writes a Server-Sent Event to every client of a watcher
+ * @param {Object} watcher - Watcher to broadcast on
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function broadcast(watcher, event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of watcher.clients) {
+        client.write(message);
+    }
+}
+
+/**
+ * Stops a watcher's polling and forgets it along with its subscriptions
+ * @param {string} key - Watcher key
+ */
+function removeWatcher(key) {
+    const watcher = watchers.get(key);
+    if (!watcher) return;
+
+    clearTimeout(watcher.timer);
+    watchers.delete(key);
+
+    for (const [watchId, subscription] of subscriptions) {
+        if (subscription.key === key) subscriptions.delete(watchId);
+    }
+
+    log("INFO", "Stopped watching PR", {
+        owner: watcher.owner,
+        repo: watcher.repo,
+        number: watcher.prNumber,
+    });
+}
+
+/**
+ * Sends a watcher's clients a "failure" event, closes their streams and
+ * stops the watcher
+ * @param {string} key - Watcher key
+ * @param {Object} failure - { status, error } and the error code, if any
+ */
+function failWatcher(key, failure) {
+    const watcher = watchers.get(key);
+    if (!watcher) return;
+
+    broadcast(watcher, "failure", failure);
+    for (const client of watcher.clients) client.end();
+    removeWatcher(key);
+}
+
+/**
+ * Delay before a watcher polls again: the regular interval, or until the
+ * rate limit resets once the token's budget runs low
+ * @param {string} token - Token the watcher polls with
+ * @returns {number} - Delay in milliseconds
+ */
+function watchPollDelay(token) {
+    const rateLimit = getRateLimit(token);
+    if (!rateLimit?.low) return WATCH_POLL_INTERVAL_MS;
+
+    return Math.max(
+        WATCH_POLL_INTERVAL_MS,
+        Date.parse(rateLimit.reset) - Date.now(),
+    );
+}
+
+/**
+ * Polls GitHub for a watcher and pushes an update event when anything
+ * changed; otherwise a comment line keeps the connections alive
+ * @param {string} key - Watcher key
+ * @returns {Promise<void>}
+ */
+async function pollWatcher(key) {
+    const watcher = watchers.get(key);
+    if (!watcher) return;
+
+    // The account it was registered with was removed, signed out or
+    // rejected by GitHub since the last poll
+    const credentials = credentialsWithToken(watcher.token).filter(
+        (c) => !c.invalid,
+    );
+    if (!credentials.length) {
+        return failWatcher(key, {
+            status: 401,
+            error: "The account watching this PR is no longer signed in",
+        });
+    }
+
+    const startTime = Date.now();
+
+    try {
+        const updates = await fetchPRUpdates(watcher.octokit, {
+            token: watcher.token,
+            owner: watcher.owner,
+            repo: watcher.repo,
+            prNumber: watcher.prNumber,
+            since: watcher.syncedAt,
+            headSha: watcher.headSha,
+        });
+
+        // Drop comments the overlap window fetched again without changes
+        const fresh = (kind) =>
+            updates[kind].filter(
+                (item) =>
+                    watcher.versions.get(`${kind}:${item.id}`) !==
+                    versionOf(item),
+            );
+        const comments = fresh("comments");
+        const reviewComments = fresh("reviewComments");
+        const changed =
+            comments.length > 0 ||
+            reviewComments.length > 0 ||
+            fresh("reviews").length > 0 ||
+            updates.files !== null ||
+            updates.pr.updated_at !== watcher.prUpdatedAt;
+
+        for (const kind of ["comments", "reviewComments", "reviews"]) {
+            for (const item of updates[kind]) {
+                watcher.versions.set(`${kind}:${item.id}`, versionOf(item));
+            }
+        }
+        watcher.syncedAt = startTime;
+        watcher.headSha = updates.pr.head.sha;
+        watcher.prUpdatedAt = updates.pr.updated_at;
+
+        if (changed) {
+            broadcast(watcher, "update", {
+                ...updates,
+                comments,
+                reviewComments,
+                syncedAt: new Date(startTime).toISOString(),
+                rateLimit: getRateLimit(watcher.token),
+            });
+        } else {
+            for (const client of watcher.clients) client.write(": ping\n\n");
+        }
+    } catch (error) {
+        log("ERROR", "Error polling watched PR", {
+            owner: watcher.owner,
+            repo: watcher.repo,
+            number: watcher.prNumber,
+            status: error.status,
+            error: error.message,
+        });
+
+        // Invalid tokens and missing PRs won't recover by polling again
+        if (error.status === 401) {
+            for (const credential of credentials) credential.invalid = true;
+            return failWatcher(key, {
+                status: 401,
+                error: "Invalid or expired GitHub token",
+                code: AUTH_ERROR_CODES.credentialInvalid,
+                host: watcher.host,
+            });
+        }
+        if (error.status === 404) {
+            return failWatcher(key, { status: 404, error: error.message });
+        }
+    }
+
+    if (watchers.has(key)) {
+        watcher.timer = setTimeout(
+            () => pollWatcher(key),
+            watchPollDelay(watcher.token),
+        );
+    }
+}
+
+/**
+ * Forgets subscriptions that haven't had a connected stream for a while and
+ * stops watchers nobody subscribes to anymore
+ */
+function pruneSubscriptions() {
+    const now = Date.now();
+
+    for (const [watchId, subscription] of subscriptions) {
+        const stale = now - subscription.createdAt > WATCH_CONNECT_TIMEOUT_MS;
+        if (!subscription.connected && stale) {
+            subscriptions.delete(watchId);
+        }
+    }
+
+    const subscribedKeys = new Set(
+        [...subscriptions.values()].map((subscription) => subscription.key),
+    );
+    for (const [key, watcher] of watchers) {
+        if (watcher.clients.size === 0 && !subscribedKeys.has(key)) {
+            removeWatcher(key);
+        }
+    }
+}
+
+setInterval(pruneSubscriptions, WATCH_CONNECT_TIMEOUT_MS).unref();
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+/**
+ * Webhook events that carry PR comments, with the PR data list they update
+ */
+const WEBHOOK_EVENT_KINDS = {
+    issue_comment: "comments",
+    pull_request_review_comment: "reviewComments",
+    pull_request_review: "reviews",
+};
+
+/**
+ * Verifies the X-Hub-Signature-256 header of a webhook delivery
+ * @param {Buffer} rawBody - Request body as received
+ * @param {string} signature - Header value, "sha256=" followed by a hex digest
+ * @param {string} secret - Webhook secret shared with GitHub
+ * @returns {boolean} - True if the signature matches
+ */
+function verifyWebhookSignature(rawBody, signature, secret) {
+    if (!rawBody || !secret || typeof signature !== "string") {
+        return false;
+    }
+
+    const expected = Buffer.from(
+        `sha256=${createHmac("sha256", secret).update(rawBody).digest("hex")}`,
+    );
+    const received = Buffer.from(signature);
+
+    return (
+        expected.length === received.length &&
+        timingSafeEqual(expected, received)
+    );
+}
+
+/**
+ * Finds the GitHub host of a webhook delivery's repository
+ * @param {Object} repository - Repository object of the payload
+ * @returns {string|null} - Host, or null if html_url isn't a valid http(s) URL
+ */
+function webhookHost(repository) {
+    if (repository.html_url === undefined) return DEFAULT_HOST;
+    if (typeof repository.html_url !== "string") return null;
+
+    try {
+        const { protocol, host } = new URL(repository.html_url);
+        return protocol === "https:" || protocol === "http:" ? host : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extracts the PR comment change carried by a webhook delivery
+ * @param {string} event - X-GitHub-Event header value
+ * @param {Object} payload - Parsed webhook payload
+ * @returns {{change: Object|null, error: string|null}} - The change
+ *   ({ host, owner, repo, number, kind, action, item }), null if the delivery
+ *   isn't about a pull request comment or review, or an error if the payload
+ *   is malformed
+ */
+function parseWebhookEvent(event, payload) {
+    const kind = WEBHOOK_EVENT_KINDS[event];
+    if (!kind || !payload?.repository) return { change: null, error: null };
+
+    // Issue comments fire for issues too; only PR conversations are relevant
+    if (event === "issue_comment" && !payload.issue?.pull_request) {
+        return { change: null, error: null };
+    }
+
+    const number =
+        event === "issue_comment"
+            ? payload.issue?.number
+            : payload.pull_request?.number;
+    const item =
+        event === "pull_request_review" ? payload.review : payload.comment;
+
+    if (!number || !item) return { change: null, error: null };
+
+    const { repository } = payload;
+    const host = webhookHost(repository);
+    if (!host) {
+        return { change: null, error: "Invalid repository html_url" };
+    }
+
+    const ownerValidation = validateParam(
+        repository.owner?.login,
+        "repository.owner.login",
+    );
+    if (!ownerValidation.valid) {
+        return { change: null, error: ownerValidation.error };
+    }
+
+    const repoValidation = validateParam(repository.name, "repository.name");
+    if (!repoValidation.valid) {
+        return { change: null, error: repoValidation.error };
+    }
+
+    if (!Number.isInteger(number) || number <= 0) {
+        return { change: null, error: "Invalid PR/Issue number" };
+    }
+
+    if (item.id === undefined || item.id === null) {
+        return { change: null, error: "Comment or review id is required" };
+    }
+
+    return {
+        change: {
+            host,
+            owner: repository.owner.login,
+            repo: repository.name,
+            number,
+            kind,
+            action: payload.action,
+            item,
+        },
+        error: null,
+    };
+}
+
+/**
+ * Pushes a webhook change to every watcher of its PR, and records it so the
+ * next poll doesn't push it again
+ * @param {Object} change - Result of parseWebhookEvent
+ * @returns {number} - Number of clients the change was sent to
+ */
+function deliverWebhookChange(change) {
+    let delivered = 0;
+    const versionKey = `${change.kind}:${change.item.id}`;
+
+    for (const watcher of watchers.values()) {
+        const matches =
+            watcher.host === change.host &&
+            watcher.owner.toLowerCase() === change.owner?.toLowerCase() &&
+            watcher.repo.toLowerCase() === change.repo?.toLowerCase() &&
+            watcher.prNumber === change.number;
+        if (!matches) continue;
+
+        if (change.action === "deleted") {
+            watcher.versions.delete(versionKey);
+        } else {
+            watcher.versions.set(versionKey, versionOf(change.item));
+        }
+
+        broadcast(watcher, "change", {
+            kind: change.kind,
+            action: change.action,
+            item: change.item,
+        });
+        delivered += watcher.clients.size;
+    }
+
+    return delivered;
+}
+
+// ============================================================================
+// Middleware
+// ============================================================================
+
+/**
+ * Requires a signed-in session and exposes it as req.session
+ */
+function requireSession(req, res, next) {
+    const session = getSession(req);
+
+    if (!session) {
+        return sendError(res, 401, "Not signed in", {
+            code: AUTH_ERROR_CODES.notSignedIn,
+        });
+    }
+
+    req.session = session;
+    next();
+}
+
+/**
+ * Resolves the GitHub token for the requested repository owner and host
+ * (`host` in the body, github.com by default) from the session's saved
+ * credentials into req.token
+ */
+function validateToken(req, res, next) {
+    const session = getSession(req);
+
+    if (!session) {
+        return sendError(res, 401, "Not signed in", {
+            code: AUTH_ERROR_CODES.notSignedIn,
+        });
+    }
+
+    const host = req.body?.host || DEFAULT_HOST;
+    if (!KNOWN_HOSTS.includes(host)) {
+        return sendError(res, 400, `Unknown GitHub host: ${host}`);
+    }
+
+    const credential = resolveCredential(session, {
+        owner: req.params.owner,
+        host,
+    });
+
+    if (!credential) {
+        // Saved accounts for the host were all rejected by GitHub
+        const rejected = session.credentials.find((c) => c.host === host);
+        if (rejected) {
+            return sendError(res, 401, "Invalid or expired GitHub token", {
+                code: AUTH_ERROR_CODES.credentialInvalid,
+                credentialId: rejected.id,
+                host,
+            });
+        }
+
+        // Signed in, just not to this host: the session stays as it is
+        return sendError(res, 409, `Connect an account for ${host}`, {
+            code: AUTH_ERROR_CODES.noCredential,
+            host,
+        });
+    }
+
+    req.session = session;
+    req.credential = credential;
+    req.token = credential.token;
+    next();
+}
+
+// ============================================================================
+// API Routes
+// ============================================================================
+
+/**
+ * POST /api/auth/login
+ * Verifies a GitHub token and saves it in the session (created if needed)
+ * as a named credential for a host and optional list of repository owners
+ */
+app.post("/api/auth/login", async (req, res) => {
+    const startTime = Date.now();
+    const token =
+        typeof req.body.token === "string" ? req.body.token.trim() : "";
+    const host = req.body.host || DEFAULT_HOST;
+
+    if (!token) {
+        return sendError(res, 400, "Authentication token is required");
+    }
+
+    if (!KNOWN_HOSTS.includes(host)) {
+        return sendError(res, 400, `Unknown GitHub host: ${host}`);
+    }
+
+    if (!isValidTokenFormat(token)) {
+        log("WARN", "Token format validation failed", {
+            tokenPrefix: token.substring(0, 4),
+        });
+        // Still allow it but warn - let GitHub API validate
+    }
+
+    try {
+        const user = await verifyToken(token, host);
+
+        let session = getSession(req);
+        if (!session) {
+            const sessionId = createSession();
+            session = sessions.get(sessionId);
+            res.setHeader(
+                "Set-Cookie",
+                sessionCookie(sessionId, SESSION_TTL_MS),
+            );
+        }
+
+        const credential = addCredential(session, {
+            token,
+            user,
+            label:
+                typeof req.body.label === "string" ? req.body.label.trim() : "",
+            host,
+            owners: normalizeOwners(req.body.owners),
+        });
+
+        log("INFO", "Credential saved", {
+            login: user.login,
+            host,
+            credentials: session.credentials.length,
+            duration: `${Date.now() - startTime}ms`,
+        });
+
+        res.json({ ...describeSession(session), user: credential.user });
+    } catch (error) {
+        sendGitHubError(req, res, error, startTime, {
+            notFound: "Failed to verify token",
+            forbidden: "Token is not allowed to read the signed-in user",
+            fallback: "Failed to verify token",
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Ends the session, forgetting every saved credential, and clears its cookie
+ */
+app.post("/api/auth/logout", (req, res) => {
+    const id = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+    if (id && sessions.delete(id)) {
+        log("INFO", "Session ended");
+    }
+
+    res.setHeader("Set-Cookie", sessionCookie("", 0));
+    res.status(204).end();
+});
+
+/**
+ * GET /api/auth/session
+ * Reports whether the request has a valid session and its saved credentials,
+ * along with the GitHub hosts accounts can be added for and the host device
+ * login is offered for (null without an OAuth app)
+ */
+app.get("/api/auth/session", (req, res) => {
+    res.json({
+        ...describeSession(getSession(req)),
+        deviceFlow: GITHUB_OAUTH_CLIENT_ID ? DEVICE_LOGIN_HOST : null,
+        hosts: KNOWN_HOSTS,
+    });
+});
+
+/**
+ * GET /api/auth/verify
+ * Re-checks every saved token with GitHub, refreshing users and OAuth scopes
+ * Credentials GitHub rejects are flagged invalid and no longer used until
+ * their account signs in again; the session itself stays signed in
+ */
+app.get("/api/auth/verify", requireSession, async (req, res) => {
+    const startTime = Date.now();
+    const { session } = req;
+
+    const results = await Promise.allSettled(
+        session.credentials.map((c) => verifyToken(c.token, c.host, c.apiUrl)),
+    );
+
+    results.forEach((result, i) => {
+        const credential = session.credentials[i];
+        if (result.status === "fulfilled") {
+            credential.user = result.value;
+            credential.invalid = false;
+        } else if (result.reason?.status === 401) {
+            credential.invalid = true;
+        }
+    });
+
+    const invalid = session.credentials.filter((c) => c.invalid).length;
+    log("INFO", "Credentials verified", {
+        credentials: session.credentials.length,
+        invalid,
+        duration: `${Date.now() - startTime}ms`,
+    });
+
+    res.json(describeSession(session));
+});
+
+/**
+ * POST /api/auth/credentials/:id/activate
+ * Makes a saved credential the active one, used for owners no credential
+ * is assigned to
+ */
+app.post("/api/auth/credentials/:id/activate", requireSession, (req, res) => {
+    const credential = req.session.credentials.find(
+        (c) => c.id === req.params.id,
+    );
+
+    if (!credential) {
+        return sendError(res, 404, "Credential not found");
+    }
+
+    req.session.activeId = credential.id;
+    res.json(describeSession(req.session));
+});
+
+/**
+ * PATCH /api/auth/credentials/:id
+ * Renames a saved credential or changes the owners it's used for
+ */
+app.patch("/api/auth/credentials/:id", requireSession, (req, res) => {
+    const credential = req.session.credentials.find(
+        (c) => c.id === req.params.id,
+    );
+
+    if (!credential) {
+        return sendError(res, 404, "Credential not found");
+    }
+
+    if (typeof req.body.label === "string" && req.body.label.trim()) {
+        credential.label = req.body.label.trim();
+    }
+    if (req.body.owners !== undefined) {
+        credential.owners = normalizeOwners(req.body.owners);
+    }
+
+    res.json(describeSession(req.session));
+});
+
+/**
+ * DELETE /api/auth/credentials/:id
+ * Forgets a saved credential; removing the last one ends the session
+ */
+app.delete("/api/auth/credentials/:id", requireSession, (req, res) => {
+    const { session } = req;
+    const remaining = session.credentials.filter((c) => c.id !== req.params.id);
+
+    if (remaining.length === session.credentials.length) {
+        return sendError(res, 404, "Credential not found");
+    }
+
+    session.credentials = remaining;
+    if (!remaining.some((c) => c.id === session.activeId)) {
+        session.activeId = remaining[0]?.id ?? null;
+    }
+
+    if (!remaining.length) {
+        sessions.delete(parseCookies(req.get("Cookie"))[SESSION_COOKIE]);
+        res.setHeader("Set-Cookie", sessionCookie("", 0));
+    }
+
+    res.json(describeSession(session));
+});
+
+/**
+ * POST /api/auth/device/code
+ * Starts an OAuth device flow login and returns the code the user enters on GitHub
+ */
+app.post("/api/auth/device/code", async (req, res) => {
+    const startTime = Date.now();
+
+    if (!GITHUB_OAUTH_CLIENT_ID) {
+        return sendError(res, 503, "OAuth login is not configured");
+    }
+
+    try {
+        const data = await postOAuth("/login/device/code", {
+            client_id: GITHUB_OAUTH_CLIENT_ID,
+            scope: GITHUB_OAUTH_SCOPE,
+        });
+
+        if (data.error || !data.device_code) {
+            return sendError(
+                res,
+                502,
+                data.error_description || "Failed to start OAuth login",
+            );
+        }
+
+        const loginId = randomUUID();
+        deviceLogins.set(loginId, {
+            deviceCode: data.device_code,
+            host: DEVICE_LOGIN_HOST,
+            apiUrl: DEVICE_LOGIN_API_URL,
+            expiresAt: Date.now() + data.expires_in * 1000,
+            interval: data.interval,
+            lastPolledAt: 0,
+        });
+
+        log("INFO", "Device login started", {
+            duration: `${Date.now() - startTime}ms`,
+        });
+
+        res.json({
+            loginId,
+            userCode: data.user_code,
+            verificationUri: data.verification_uri,
+            expiresIn: data.expires_in,
+            interval: data.interval,
+        });
+    } catch (error) {
+        sendError(res, 502, error.message || "Failed to start OAuth login", {
+            duration: `${Date.now() - startTime}ms`,
+        });
+    }
+});
+
+/**
+ * POST /api/auth/device/poll
+ * Checks once whether the user approved a device login; on approval the
+ * access token is saved in the session as a credential named `label` for
+ * `owners`. Answers "pending" with the interval to wait before polling again
+ */
+app.post("/api/auth/device/poll", async (req, res) => {
+    const { loginId } = req.body;
+    const login = deviceLogins.get(loginId);
+
+    if (!login || Date.now() > login.expiresAt) {
+        deviceLogins.delete(loginId);
+        return sendError(res, 410, "Login code expired, please start again");
+    }
+
+    // Polling faster than GitHub allows gets the client slowed down anyway
+    if (Date.now() - login.lastPolledAt < login.interval * 1000) {
+        return res.json({ status: "pending", interval: login.interval });
+    }
+    login.lastPolledAt = Date.now();
+
+    try {
+        // A token that failed verification is checked again instead of
+        // asking GitHub for a new one
+        const data = login.accessToken
+            ? { access_token: login.accessToken }
+            : await postOAuth("/login/oauth/access_token", {
+                  client_id: GITHUB_OAUTH_CLIENT_ID,
+                  device_code: login.deviceCode,
+                  grant_type: DEVICE_GRANT_TYPE,
+              });
+
+        if (data.access_token) {
+            login.accessToken = data.access_token;
+            const user = await verifyToken(
+                data.access_token,
+                login.host,
+                login.apiUrl,
+            );
+            deviceLogins.delete(loginId);
+
+            let session = getSession(req);
+            if (!session) {
+                const sessionId = createSession();
+                session = sessions.get(sessionId);
+                res.setHeader(
+                    "Set-Cookie",
+                    sessionCookie(sessionId, SESSION_TTL_MS),
+                );
+            }
+
+            addCredential(session, {
+                token: data.access_token,
+                user,
+                label:
+                    typeof req.body.label === "string"
+                        ? req.body.label.trim()
+                        : "",
+                host: login.host,
+                owners: normalizeOwners(req.body.owners),
+                apiUrl: login.apiUrl,
+            });
+            log("INFO", "Credential saved with device login", {
+                login: user.login,
+                credentials: session.credentials.length,
+            });
+            return res.json({
+                status: "complete",
+                ...describeSession(session),
+                user,
+            });
+        }
+
+        switch (data.error) {
+            case "authorization_pending":
+                return res.json({
+                    status: "pending",
+                    interval: login.interval,
+                });
+            case "slow_down":
+                login.interval = data.interval || login.interval + 5;
+                return res.json({
+                    status: "pending",
+                    interval: login.interval,
+                });
+            case "access_denied":
+                deviceLogins.delete(loginId);
+                return sendError(res, 403, "Login was cancelled on GitHub");
+            case "expired_token":
+                deviceLogins.delete(loginId);
+                return sendError(
+                    res,
+                    410,
+                    "Login code expired, please start again",
+                );
+            default:
+                deviceLogins.delete(loginId);
+                return sendError(
+                    res,
+                    502,
+                    data.error_description || "OAuth login failed",
+                );
+        }
+    } catch (error) {
+        sendError(res, 502, error.message || "OAuth login failed");
+    }
+});
+
+/**
+ * POST /api/pr/:owner/:repo/:number
+ * Fetches pull request data including comments, reviews, files, and which
+ * review threads are resolved
+ */
+app.post("/api/pr/:owner/:repo/:number", validateToken, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { owner, repo, number } = req.params;
+
+        // Validate parameters
+        const ownerValidation = validateParam(owner, "owner");
+        if (!ownerValidation.valid) {
+            return sendError(res, 400, ownerValidation.error);
+        }
+
+        const repoValidation = validateParam(repo, "repo");
+        if (!repoValidation.valid) {
+            return sendError(res, 400, repoValidation.error);
+        }
+
+        const numberValidation = validateNumber(number);
+        if (!numberValidation.valid) {
+            return sendError(res, 400, numberValidation.error);
+        }
+
+        log("INFO", "Fetching PR data", {
+            owner,
+            repo,
+            number: numberValidation.value,
+        });
+
+        const octokit = createOctokit(
+            req.token,
+            req.credential.host,
+            req.credential.apiUrl,
+        );
+        const prNumber = numberValidation.value;
+        const bypass = req.body.bypassCache === true;
+
+        /**
+         * Cache options for one endpoint of this pull request
+         * @param {string} endpoint - Endpoint name
+         * @returns {Object} - { key, bypass }
+         */
+        const cacheFor = (endpoint) => ({
+            key: prCacheKey(req.token, owner, repo, prNumber, endpoint),
+            bypass,
+        });
+
+        // Fetch all data in parallel
+        const [pr, comments, reviewComments, reviews, files, resolvedThreads] =
+            await Promise.all([
+                conditionalRequest(
+                    octokit.pulls.get.bind(octokit.pulls),
+                    { owner, repo, pull_number: prNumber },
+                    cacheFor("pr"),
+                ).then((r) => r.data),
+                fetchAll(
+                    octokit.issues.listComments.bind(octokit.issues),
+                    { owner, repo, issue_number: prNumber },
+                    cacheFor("comments"),
+                ),
+                fetchAll(
+                    octokit.pulls.listReviewComments.bind(octokit.pulls),
+                    { owner, repo, pull_number: prNumber },
+                    cacheFor("reviewComments"),
+                ),
+                fetchAll(
+                    octokit.pulls.listReviews.bind(octokit.pulls),
+                    { owner, repo, pull_number: prNumber },
+                    cacheFor("reviews"),
+                ),
+                fetchAll(
+                    octokit.pulls.listFiles.bind(octokit.pulls),
+                    { owner, repo, pull_number: prNumber },
+                    cacheFor("files"),
+                ),
+                fetchResolvedThreads(octokit, { owner, repo, prNumber }),
+            ]);
+
+        const duration = Date.now() - startTime;
+        log("INFO", "PR data fetched successfully", {
+            owner,
+            repo,
+            number: prNumber,
+            duration: `${duration}ms`,
+            commentCount: comments.length,
+            reviewCommentCount: reviewComments.length,
+            reviewCount: reviews.length,
+            fileCount: files.length,
+        });
+
+        res.json({
+            pr,
+            comments,
+            reviewComments,
+            reviews,
+            files,
+            resolvedThreads,
+            syncedAt: new Date(startTime).toISOString(),
+            rateLimit: credentialRateLimit(req.credential),
+        });
+    } catch (error) {
+        sendGitHubError(req, res, error, startTime, {
+            notFound: "Pull request not found or access denied",
+            forbidden: "Insufficient permissions to read pull request",
+            fallback: "Failed to fetch PR data",
+        });
+    }
+});
+
+/**
+ * POST /api/pr/:owner/:repo/:number/updates
+ * Fetches comments created or changed since the last sync, with the current
+ * PR and reviews; files are only included when the head commit moved
+ */
+app.post(
+    "/api/pr/:owner/:repo/:number/updates",
+    validateToken,
+    async (req, res) => {
+        const startTime = Date.now();
+
+        try {
+            const { owner, repo, number } = req.params;
+            const { since, headSha } = req.body;
+
+            // Validate parameters
+            const ownerValidation = validateParam(owner, "owner");
+            if (!ownerValidation.valid) {
+                return sendError(res, 400, ownerValidation.error);
+            }
+
+            const repoValidation = validateParam(repo, "repo");
+            if (!repoValidation.valid) {
+                return sendError(res, 400, repoValidation.error);
+            }
+
+            const numberValidation = validateNumber(number);
+            if (!numberValidation.valid) {
+                return sendError(res, 400, numberValidation.error);
+            }
+
+            const sinceTime = Date.parse(since);
+            if (isNaN(sinceTime)) {
+                return sendError(
+                    res,
+                    400,
+                    "A valid since timestamp is required",
+                );
+            }
+
+            log("INFO", "Fetching PR updates", {
+                owner,
+                repo,
+                number: numberValidation.value,
+                since,
+            });
+
+            const octokit = createOctokit(
+                req.token,
+                req.credential.host,
+                req.credential.apiUrl,
+            );
+            const prNumber = numberValidation.value;
+            const { pr, comments, reviewComments, reviews, files } =
+                await fetchPRUpdates(octokit, {
+                    token: req.token,
+                    owner,
+                    repo,
+                    prNumber,
+                    since: sinceTime,
+                    headSha,
+                });
+
+            const duration = Date.now() - startTime;
+            log("INFO", "PR updates fetched successfully", {
+                owner,
+                repo,
+                number: prNumber,
+                duration: `${duration}ms`,
+                commentCount: comments.length,
+                reviewCommentCount: reviewComments.length,
+                filesChanged: files !== null,
+            });
+
+            res.json({
+                pr,
+                comments,
+                reviewComments,
+                reviews,
+                files,
+                syncedAt: new Date(startTime).toISOString(),
+                rateLimit: credentialRateLimit(req.credential),
+            });
+        } catch (error) {
+            sendGitHubError(req, res, error, startTime, {
+                notFound: "Pull request not found or access denied",
+                forbidden: "Insufficient permissions to read pull request",
+                fallback: "Failed to fetch PR updates",
+            });
+        }
+    },
+);
+
+/**
+ * POST /api/watch/:owner/:repo/:number
+ * Registers interest in live updates for a PR and returns a watch id to open
+ * the event stream with; panels watching the same PR share one poller
+ */
+app.post("/api/watch/:owner/:repo/:number", validateToken, (req, res) => {
+    const { owner, repo, number } = req.params;
+    const { since, headSha } = req.body;
+
+    // Validate parameters
+    const ownerValidation = validateParam(owner, "owner");
+    if (!ownerValidation.valid) {
+        return sendError(res, 400, ownerValidation.error);
+    }
+
+    const repoValidation = validateParam(repo, "repo");
+    if (!repoValidation.valid) {
+        return sendError(res, 400, repoValidation.error);
+    }
+
+    const numberValidation = validateNumber(number);
+    if (!numberValidation.valid) {
+        return sendError(res, 400, numberValidation.error);
+    }
+
+    const sinceTime = Date.parse(since);
+    if (isNaN(sinceTime)) {
+        return sendError(res, 400, "A valid since timestamp is required");
+    }
+
+    const prNumber = numberValidation.value;
+    const key = prCacheKey(req.token, owner, repo, prNumber, "watch");
+
+    if (!watchers.has(key)) {
+        watchers.set(key, {
+            token: req.token,
+            octokit: createOctokit(
+                req.token,
+                req.credential.host,
+                req.credential.apiUrl,
+            ),
+            host: req.credential.host,
+            owner,
+            repo,
+            prNumber,
+            syncedAt: sinceTime,
+            headSha,
+            prUpdatedAt: null,
+            versions: new Map(),
+            clients: new Set(),
+            timer: setTimeout(() => pollWatcher(key), WATCH_POLL_INTERVAL_MS),
+        });
+        log("INFO", "Started watching PR", {
+            owner,
+            repo,
+            number: prNumber,
+        });
+    }
+
+    const watchId = randomUUID();
+    subscriptions.set(watchId, { key, createdAt: Date.now() });
+
+    res.json({ watchId, credentialId: req.credential.id });
+});
+
+/**
+ * GET /api/events/:watchId
+ * Server-Sent Events stream of a watched PR: "update" events carry the same
+ * payload as the updates endpoint, "change" events a single comment or review
+ * from a webhook delivery, and "failure" ends the stream
+ */
+app.get("/api/events/:watchId", requireSession, (req, res) => {
+    const subscription = subscriptions.get(req.params.watchId);
+    const watcher = subscription && watchers.get(subscription.key);
+
+    // Streams are only handed to the session that registered the watch
+    const ownsWatcher = req.session.credentials.some(
+        (c) => c.token === watcher?.token,
+    );
+    if (!watcher || !ownsWatcher) {
+        return sendError(res, 404, "Unknown or expired watch");
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    res.write("retry: 5000\n\n");
+
+    watcher.clients.add(res);
+    subscription.connected = true;
+
+    req.on("close", () => {
+        watcher.clients.delete(res);
+
+        // Reconnecting clients get a moment before the subscription expires
+        subscription.connected = false;
+        subscription.createdAt = Date.now();
+    });
+});
+
+/**
+ * POST /api/webhook
+ * Receives GitHub webhook deliveries and pushes PR comment changes to the
+ * clients watching that PR; requires GITHUB_WEBHOOK_SECRET
+ */
+app.post(WEBHOOK_PATH, (req, res) => {
+    const event = req.get("X-GitHub-Event");
+    const deliveryId = req.get("X-GitHub-Delivery");
+
+    if (!GITHUB_WEBHOOK_SECRET) {
+        return sendError(res, 503, "Webhook secret is not configured");
+    }
+
+    if (
+        !verifyWebhookSignature(
+            req.rawBody,
+            req.get("X-Hub-Signature-256"),
+            GITHUB_WEBHOOK_SECRET,
+        )
+    ) {
+        return sendError(res, 401, "Invalid webhook signature", {
+            deliveryId,
+        });
+    }
+
+    const { change, error } = parseWebhookEvent(event, req.body);
+    if (error) {
+        return sendError(res, 400, `Malformed webhook payload: ${error}`, {
+            event,
+            deliveryId,
+        });
+    }
+
+    if (!change) {
+        log("INFO", "Ignored webhook delivery", { event, deliveryId });
+        return res.status(202).json({ delivered: 0 });
+    }
+
+    const delivered = deliverWebhookChange(change);
+    log("INFO", "Webhook change delivered", {
+        event,
+        action: change.action,
+        deliveryId,
+        owner: change.owner,
+        repo: change.repo,
+        number: change.number,
+        delivered,
+    });
+
+    res.json({ delivered });
+});
+
+/**
+ * PATCH /api/comment/:type/:owner/:repo/:id
+ * Updates a comment (issue comment or review comment)
+ */
+app.patch(
+    "/api/comment/:type/:owner/:repo/:id",
+    validateToken,
+    async (req, res) => {
+        const startTime = Date.now();
+
+        try {
+            const { type, owner, repo, id } = req.params;
+            const { body } = req.body;
+
+            // Validate parameters
+            if (!["issue", "review"].includes(type)) {
+                return sendError(
+                    res,
+                    400,
+                    "Invalid comment type. Must be 'issue' or 'review'",
+                );
+            }
+
+            const ownerValidation = validateParam(owner, "owner");
+            if (!ownerValidation.valid) {
+                return sendError(res, 400, ownerValidation.error);
+            }
+
+            const repoValidation = validateParam(repo, "repo");
+            if (!repoValidation.valid) {
+                return sendError(res, 400, repoValidation.error);
+            }
+
+            const idValidation = validateNumber(id);
+            if (!idValidation.valid) {
+                return sendError(res, 400, "Invalid comment ID");
+            }
+
+            if (!body || typeof body !== "string" || body.trim() === "") {
+                return sendError(res, 400, "Comment body is required");
+            }
+
+            log("INFO", "Updating comment", {
+                type,
+                owner,
+                repo,
+                commentId: idValidation.value,
+            });
+
+            const octokit = createOctokit(
+                req.token,
+                req.credential.host,
+                req.credential.apiUrl,
+            );
+
+            const method =
+                type === "issue"
+                    ? octokit.issues.updateComment
+                    : octokit.pulls.updateReviewComment;
+
+            const { data } = await method({
+                owner,
+                repo,
+                comment_id: idValidation.value,
+                body: body.trim(),
+            });
+
+            const duration = Date.now() - startTime;
+            log("INFO", "Comment updated successfully", {
+                type,
+                owner,
+                repo,
+                commentId: idValidation.value,
+                duration: `${duration}ms`,
+            });
+
+            res.json(data);
+        } catch (error) {
+            sendGitHubError(req, res, error, startTime, {
+                notFound: "Comment not found or access denied",
+                forbidden: "Insufficient permissions to update comment",
+                fallback: "Failed to update comment",
+            });
+        }
+    },
+);
+
+/**
+ * POST /api/comment/:type/:owner/:repo/:number
+ * Creates a comment on a pull request
+ * - issue: a new general comment
+ * - review: a reply when `in_reply_to` is set, otherwise a new inline
+ *   comment on `path` and `line` (`side` defaults to RIGHT, `commit_id`
+ *   defaults to the PR head)
+ */
+app.post(
+    "/api/comment/:type/:owner/:repo/:number",
+    validateToken,
+    async (req, res) => {
+        const startTime = Date.now();
+
+        try {
+            const { type, owner, repo, number } = req.params;
+            const { body, in_reply_to, path, line, side, commit_id } = req.body;
+
+            // Validate parameters
+            if (!["issue", "review"].includes(type)) {
+                return sendError(
+                    res,
+                    400,
+                    "Invalid comment type. Must be 'issue' or 'review'",
+                );
+            }
+
+            const ownerValidation = validateParam(owner, "owner");
+            if (!ownerValidation.valid) {
+                return sendError(res, 400, ownerValidation.error);
+            }
+
+            const repoValidation = validateParam(repo, "repo");
+            if (!repoValidation.valid) {
+                return sendError(res, 400, repoValidation.error);
+            }
+
+            const numberValidation = validateNumber(number);
+            if (!numberValidation.valid) {
+                return sendError(res, 400, numberValidation.error);
+            }
+
+            if (!body || typeof body !== "string" || body.trim() === "") {
+                return sendError(res, 400, "Comment body is required");
+            }
+
+            const prNumber = numberValidation.value;
+            const octokit = createOctokit(
+                req.token,
+                req.credential.host,
+                req.credential.apiUrl,
+            );
+            let data;
+
+            if (type === "issue") {
+                log("INFO", "Creating comment", { type, owner, repo, number });
+
+                ({ data } = await octokit.issues.createComment({
+                    owner,
+                    repo,
+                    issue_number: prNumber,
+                    body: body.trim(),
+                }));
+            } else if (in_reply_to !== undefined) {
+                const replyValidation = validateNumber(String(in_reply_to));
+                if (!replyValidation.valid) {
+                    return sendError(res, 400, "Invalid reply comment ID");
+                }
+
+                log("INFO", "Replying to review comment", {
+                    owner,
+                    repo,
+                    number: prNumber,
+                    inReplyTo: replyValidation.value,
+                });
+
+                ({ data } = await octokit.pulls.createReplyForReviewComment({
+                    owner,
+                    repo,
+                    pull_number: prNumber,
+                    comment_id: replyValidation.value,
+                    body: body.trim(),
+                }));
+            } else {
+                const pathValidation = validateParam(path, "path");
+                if (!pathValidation.valid) {
+                    return sendError(res, 400, pathValidation.error);
+                }
+
+                const lineValidation = validateNumber(String(line));
+                if (!lineValidation.valid) {
+                    return sendError(res, 400, "Invalid line number");
+                }
+
+                if (side !== undefined && !["LEFT", "RIGHT"].includes(side)) {
+                    return sendError(
+                        res,
+                        400,
+                        "Invalid side. Must be 'LEFT' or 'RIGHT'",
+                    );
+                }
+
+                // Inline comments must be attached to a commit; use the PR head
+                const commitId =
+                    commit_id ||
+                    (
+                        await octokit.pulls.get({
+                            owner,
+                            repo,
+                            pull_number: prNumber,
+                        })
+                    ).data.head.sha;
+
+                log("INFO", "Creating review comment", {
+                    owner,
+                    repo,
+                    number: prNumber,
+                    path,
+                    line: lineValidation.value,
+                });
+
+                ({ data } = await octokit.pulls.createReviewComment({
+                    owner,
+                    repo,
+                    pull_number: prNumber,
+                    commit_id: commitId,
+                    path,
+                    line: lineValidation.value,
+                    side: side || "RIGHT",
+                    body: body.trim(),
+                }));
+            }
+
+            const duration = Date.now() - startTime;
+            log("INFO", "Comment created successfully", {
+                type,
+                owner,
+                repo,
+                commentId: data.id,
+                duration: `${duration}ms`,
+            });
+
+            res.status(201).json(data);
+        } catch (error) {
+            sendGitHubError(req, res, error, startTime, {
+                notFound: "Pull request or comment not found or access denied",
+                forbidden: "Insufficient permissions to create comment",
+                fallback: "Failed to create comment",
+            });
+        }
+    },
+);
+
+/**
+ * DELETE /api/comment/:type/:owner/:repo/:id
+ * Deletes a comment (issue comment or review comment)
+ */
+app.delete(
+    "/api/comment/:type/:owner/:repo/:id",
+    validateToken,
+    async (req, res) => {
+        const startTime = Date.now();
+
+        try {
+            const { type, owner, repo, id } = req.params;
+
+            // Validate parameters
+            if (!["issue", "review"].includes(type)) {
+                return sendError(
+                    res,
+                    400,
+                    "Invalid comment type. Must be 'issue' or 'review'",
+                );
+            }
+
+            const ownerValidation = validateParam(owner, "owner");
+            if (!ownerValidation.valid) {
+                return sendError(res, 400, ownerValidation.error);
+            }
+
+            const repoValidation = validateParam(repo, "repo");
+            if (!repoValidation.valid) {
+                return sendError(res, 400, repoValidation.error);
+            }
+
+            const idValidation = validateNumber(id);
+            if (!idValidation.valid) {
+                return sendError(res, 400, "Invalid comment ID");
+            }
+
+            log("INFO", "Deleting comment", {
+                type,
+                owner,
+                repo,
+                commentId: idValidation.value,
+            });
+
+            const octokit = createOctokit(
+                req.token,
+                req.credential.host,
+                req.credential.apiUrl,
+            );
+
+            const method =
+                type === "issue"
+                    ? octokit.issues.deleteComment
+                    : octokit.pulls.deleteReviewComment;
+
+            await method({
+                owner,
+                repo,
+                comment_id: idValidation.value,
+            });
+
+            const duration = Date.now() - startTime;
+            log("INFO", "Comment deleted successfully", {
+                type,
+                owner,
+                repo,
+                commentId: idValidation.value,
+                duration: `${duration}ms`,
+            });
+
+            res.status(204).end();
+        } catch (error) {
+            sendGitHubError(req, res, error, startTime, {
+                notFound: "Comment not found or access denied",
+                forbidden: "Insufficient permissions to delete comment",
+                fallback: "Failed to delete comment",
+            });
+        }
+    },
+);
+
+/**
+ * POST /api/review/:owner/:repo/:number
+ * Submits a pull request review with optional batched inline comments
+ */
+app.post(
+    "/api/review/:owner/:repo/:number",
+    validateToken,
+    async (req, res) => {
+        const startTime = Date.now();
+
+        try {
+            const { owner, repo, number } = req.params;
+            const { event, body = "", comments = [], commit_id } = req.body;
+
+            // Validate parameters
+            const ownerValidation = validateParam(owner, "owner");
+            if (!ownerValidation.valid) {
+                return sendError(res, 400, ownerValidation.error);
+            }
+
+            const repoValidation = validateParam(repo, "repo");
+            if (!repoValidation.valid) {
+                return sendError(res, 400, repoValidation.error);
+            }
+
+            const numberValidation = validateNumber(number);
+            if (!numberValidation.valid) {
+                return sendError(res, 400, numberValidation.error);
+            }
+
+            if (!REVIEW_EVENTS.includes(event)) {
+                return sendError(
+                    res,
+                    400,
+                    `Invalid review event. Must be one of ${REVIEW_EVENTS.join(", ")}`,
+                );
+            }
+
+            if (typeof body !== "string" || !Array.isArray(comments)) {
+                return sendError(res, 400, "Invalid review body or comments");
+            }
+
+            // GitHub requires a summary when requesting changes, and a comment
+            // review needs either a summary or inline comments
+            if (
+                !body.trim() &&
+                (event === "REQUEST_CHANGES" ||
+                    (event === "COMMENT" && comments.length === 0))
+            ) {
+                return sendError(res, 400, "Review summary is required");
+            }
+
+            const invalidComment = comments.find(
+                (c) =>
+                    !validateParam(c?.path, "path").valid ||
+                    !validateNumber(String(c?.line)).valid ||
+                    !c?.body?.trim?.(),
+            );
+            if (invalidComment) {
+                return sendError(
+                    res,
+                    400,
+                    "Every review comment needs a path, line and body",
+                );
+            }
+
+            const prNumber = numberValidation.value;
+
+            log("INFO", "Submitting review", {
+                owner,
+                repo,
+                number: prNumber,
+                event,
+                commentCount: comments.length,
+            });
+
+            const octokit = createOctokit(
+                req.token,
+                req.credential.host,
+                req.credential.apiUrl,
+            );
+
+            const { data } = await octokit.pulls.createReview({
+                owner,
+                repo,
+                pull_number: prNumber,
+                commit_id,
+                event,
+                body: body.trim(),
+                comments: comments.map((c) => ({
+                    path: c.path,
+                    line: parseInt(c.line, 10),
+                    side: c.side === "LEFT" ? "LEFT" : "RIGHT",
+                    body: c.body.trim(),
+                })),
+            });
+
+            const duration = Date.now() - startTime;
+            log("INFO", "Review submitted successfully", {
+                owner,
+                repo,
+                number: prNumber,
+                reviewId: data.id,
+                duration: `${duration}ms`,
+            });
+
+            res.status(201).json(data);
+        } catch (error) {
+            sendGitHubError(req, res, error, startTime, {
+                notFound: "Pull request not found or access denied",
+                forbidden: "Insufficient permissions to submit review",
+                fallback: "Failed to submit review",
+            });
+        }
+    },
+);
+
+/**
+ * POST /api/content/:owner/:repo
+ * Fetches the raw content of a file at a given ref (commit SHA, branch or tag)
+ */
+app.post("/api/content/:owner/:repo", validateToken, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { owner, repo } = req.params;
+        const { path: filePath, ref } = req.body;
+
+        // Validate parameters
+        const ownerValidation = validateParam(owner, "owner");
+        if (!ownerValidation.valid) {
+            return sendError(res, 400, ownerValidation.error);
+        }
+
+        const repoValidation = validateParam(repo, "repo");
+        if (!repoValidation.valid) {
+            return sendError(res, 400, repoValidation.error);
+        }
+
+        const pathValidation = validateParam(filePath, "path");
+        if (!pathValidation.valid) {
+            return sendError(res, 400, pathValidation.error);
+        }
+
+        const refValidation = validateParam(ref, "ref");
+        if (!refValidation.valid) {
+            return sendError(res, 400, refValidation.error);
+        }
+
+        log("INFO", "Fetching file content", {
+            owner,
+            repo,
+            path: filePath,
+            ref,
+        });
+
+        const octokit = createOctokit(
+            req.token,
+            req.credential.host,
+            req.credential.apiUrl,
+        );
+
+        // The raw media type returns the file body directly, which also
+        // works for files above the 1 MB limit of the JSON response
+        const { data } = await octokit.repos.getContent({
+            owner,
+            repo,
+            path: filePath,
+            ref,
+            mediaType: { format: "raw" },
+        });
+
+        if (typeof data !== "string") {
+            return sendError(res, 400, "Path is not a file");
+        }
+
+        const duration = Date.now() - startTime;
+        log("INFO", "File content fetched successfully", {
+            owner,
+            repo,
+            path: filePath,
+            ref,
+            size: data.length,
+            duration: `${duration}ms`,
+        });
+
+        res.json({ path: filePath, ref, content: data });
+    } catch (error) {
+        sendGitHubError(req, res, error, startTime, {
+            notFound: "File not found at this ref or access denied",
+            forbidden: "Insufficient permissions to read file",
+            fallback: "Failed to fetch file content",
+        });
+    }
+});
+
+// ============================================================================
+// Health Check Endpoint
+// ============================================================================
+
+/**
+ * GET /api/health
+ * Health check endpoint
+ * For signed-in requests, also reports the latest known rate limit of the
+ * session's active credential (no GitHub request is made)
+ */
+app.get("/api/health", (req, res) => {
+    res.json({
+        status: "healthy",
         timestamp: new Date().toISOString(),
         environment: NODE_ENV,
+        rateLimit: credentialRateLimit(activeCredential(getSession(req))),
     });
 });
 
@@ -425,6 +2687,17 @@ if (IS_PRODUCTION) {
 // Start Server
 // ============================================================================
 
+// Tokens of an OAuth app saved under the wrong host would be sent to the
+// wrong API, so a device login without a known host refuses to start
+if (GITHUB_OAUTH_CLIENT_ID && !KNOWN_HOSTS.includes(DEVICE_LOGIN_HOST)) {
+    log(
+        "ERROR",
+        "GITHUB_OAUTH_BASE_URL doesn't point at a known host: set GITHUB_OAUTH_HOST to github.com or a host in GITHUB_ENTERPRISE_HOSTS",
+        { oauthBaseUrl: GITHUB_OAUTH_BASE_URL, oauthHost: DEVICE_LOGIN_HOST },
+    );
+    process.exit(1);
+}
+
 app.listen(PORT, () => {
     log("INFO", `Server started successfully`, {
         port: PORT,
@@ -0,0 +1,196 @@
+import { auth } from "../state/state.svelte.js";
+
+/**
+ * Sends a request to the session endpoints of the backend
+ * @param {string} path - API path to call
+ * @param {string} method - HTTP method
+ * @param {Object} payload - Request body, if any
+ * @returns {Promise<Object|null>} - Parsed JSON response, or null for No Content
+ * @throws {Error} - If the request fails, with the HTTP status as `status` and the server's error code as `code`
+ */
+async function sessionRequest(path, method, payload = null) {
+    const response = await fetch(path, {
+        method,
+        headers: payload ? { "Content-Type": "application/json" } : {},
+        body: payload ? JSON.stringify(payload) : undefined,
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw Object.assign(new Error(error.error), {
+            status: response.status,
+            code: error.code,
+        });
+    }
+
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Signs in by saving a GitHub token in the server session
+ * The server verifies the token with GitHub first. When already signed in,
+ * the token is added as another account and becomes the active one
+ * @param {string} token - GitHub personal access token
+ * @param {{label?: string, owners?: string, host?: string}} options - Account name, the repository owners (comma separated) to use it for and the GitHub host the token belongs to
+ * @returns {Promise<{authenticated: boolean, credentials: Array<Object>, activeId: string, user: Object}>} - Session and the verified user
+ * @throws {Error} - If the token is empty, rejected by GitHub or the request fails
+ */
+export async function login(
+    token,
+    { label = "", owners = "", host = "github.com" } = {},
+) {
+    const session = await sessionRequest("/api/auth/login", "POST", {
+        token,
+        label,
+        owners,
+        host,
+    });
+    auth.setSession(session);
+    return session;
+}
+
+/**
+ * Re-checks every saved token with GitHub and refreshes the accounts
+ * Asks to sign in again to a host whose token GitHub no longer accepts;
+ * only an expired session signs out
+ * @returns {Promise<Object>} - Session with refreshed users and OAuth scopes
+ * @throws {Error} - If the tokens can't be verified
+ */
+export async function verifySession() {
+    try {
+        const session = await sessionRequest("/api/auth/verify", "GET");
+        auth.setSession(session);
+
+        const rejected = session.credentials.find((c) => c.invalid);
+        if (rejected) auth.requestReauth(rejected.host);
+
+        return session;
+    } catch (error) {
+        if (error.code === "not_signed_in") auth.setAuthenticated(false);
+        throw error;
+    }
+}
+
+/**
+ * Makes a saved account the active one
+ * @param {string} id - Credential id
+ * @returns {Promise<void>}
+ * @throws {Error} - If the account no longer exists
+ */
+export async function activateCredential(id) {
+    auth.setSession(
+        await sessionRequest(
+            `/api/auth/credentials/${encodeURIComponent(id)}/activate`,
+            "POST",
+        ),
+    );
+}
+
+/**
+ * Renames a saved account or changes which repository owners it's used for
+ * @param {string} id - Credential id
+ * @param {{label?: string, owners?: string}} changes - New name and/or comma separated owners
+ * @returns {Promise<void>}
+ * @throws {Error} - If the account no longer exists
+ */
+export async function updateCredential(id, changes) {
+    auth.setSession(
+        await sessionRequest(
+            `/api/auth/credentials/${encodeURIComponent(id)}`,
+            "PATCH",
+            changes,
+        ),
+    );
+}
+
+/**
+ * Forgets a saved account; removing the last one signs out
+ * @param {string} id - Credential id
+ * @returns {Promise<void>}
+ * @throws {Error} - If the account no longer exists
+ */
+export async function removeCredential(id) {
+    auth.setSession(
+        await sessionRequest(
+            `/api/auth/credentials/${encodeURIComponent(id)}`,
+            "DELETE",
+        ),
+    );
+}
+
+/**
+ * Starts an OAuth device flow login
+ * @returns {Promise<{loginId: string, userCode: string, verificationUri: string, expiresIn: number, interval: number}>} -
+ *   The code to enter at verificationUri, and how often to poll for approval (seconds)
+ * @throws {Error} - If OAuth login isn't configured or GitHub can't be reached
+ */
+export async function startDeviceLogin() {
+    return sessionRequest("/api/auth/device/code", "POST", {});
+}
+
+/**
+ * Checks whether the user approved a device login on GitHub
+ * Signs in (or adds the account to the session) once approved
+ * @param {string} loginId - Id returned by startDeviceLogin
+ * @param {{label?: string, owners?: string}} options - Account name and the repository owners (comma separated) to use it for
+ * @returns {Promise<{status: "pending" | "complete", interval?: number, user?: Object}>} - Login status, with the polling interval while pending and the user once complete
+ * @throws {Error} - If the code expired or the login was denied
+ */
+export async function pollDeviceLogin(
+    loginId,
+    { label = "", owners = "" } = {},
+) {
+    const result = await sessionRequest("/api/auth/device/poll", "POST", {
+        loginId,
+        label,
+        owners,
+    });
+    if (result.status === "complete") {
+        auth.setSession(result);
+    }
+    return result;
+}
+
+/**
+ * Signs out of every account and ends the server session
+ * @returns {Promise<void>}
+ */
+export async function logout() {
+    try {
+        await sessionRequest("/api/auth/logout", "POST");
+    } finally {
+        auth.setAuthenticated(false);
+    }
+}
+
+/**
+ * Checks for an existing session on startup
+ * A token left in localStorage by older versions is exchanged for a session
+ * and removed from the browser; an existing session is re-verified
+ * @returns {Promise<void>}
+ */
+export async function restoreSession() {
+    try {
+        const legacyToken = auth.takeLegacyToken();
+        if (legacyToken) {
+            await login(legacyToken).catch((error) =>
+                console.error("Failed to migrate stored token:", error),
+            );
+        }
+
+        const session = await sessionRequest("/api/auth/session", "GET");
+        auth.setDeviceFlow(session.deviceFlow);
+        auth.setHosts(session.hosts);
+        auth.setSession(session);
+
+        // Catch tokens revoked since the session was created
+        if (session.authenticated) {
+            verifySession().catch((error) =>
+                console.error("Failed to verify session:", error),
+            );
+        }
+    } catch (error) {
+        console.error("Failed to restore session:", error);
+        auth.setAuthenticated(false);
+    }
+}
@@ -1,37 +1,152 @@
-import { auth } from "../state/state.svelte.js";
+import { auth, rateLimit } from "../state/state.svelte.js";
+import { logout } from "./auth.js";
 import { parseURL } from "../utils/helpers.js";
 
+/**
+ * Sends an authenticated JSON request to the backend proxy
+ * The session cookie identifies the user; the token never leaves the server.
+ * Payloads carry the PR's host so the server picks an account for it
+ * @param {string} path - API path to call
+ * @param {string} method - HTTP method
+ * @param {Object} payload - Request body fields
+ * @returns {Promise<Object>} - Parsed JSON response
+ * @throws {Error} - If the API request fails
+ */
+async function apiRequest(path, method, payload = {}) {
+    const response = await fetch(path, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        rateLimit.update(error.rateLimit);
+
+        // Only an expired session signs out; a token GitHub rejected
+        // concerns its own account, which is asked to sign in again
+        if (error.code === "not_signed_in") {
+            logout().catch(() => {});
+            throw new Error("Your session has ended. Please sign in again.");
+        }
+
+        if (error.code === "credential_invalid") {
+            auth.markInvalid(error.credentialId);
+            auth.requestReauth(error.host);
+            throw new Error(
+                `GitHub no longer accepts the token for ${error.host}. Please sign in to it again.`,
+            );
+        }
+
+        throw new Error(error.error);
+    }
+
+    // No Content responses (e.g. deletions) have no body to parse
+    if (response.status === 204) {
+        return null;
+    }
+
+    const data = await response.json();
+    rateLimit.update(data.rateLimit);
+    return data;
+}
+
 /**
  * Fetches pull request data from GitHub including comments, review comments, reviews, and files
  * @param {string} url - GitHub PR URL to fetch data from
- * @returns {Promise<Object>} - PR data object containing pr, comments, reviewComments, reviews, and files
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.bypassCache - If true, the server skips its cached ETags and refetches everything
+ * @returns {Promise<Object>} - PR data object containing pr, comments, reviewComments, reviews, files and resolvedThreads (root comment ids, or null if unknown)
  * @throws {Error} - If URL is invalid or API request fails
  */
-export async function fetchPR(url) {
+export async function fetchPR(url, { bypassCache = false } = {}) {
     const parsed = parseURL(url);
     if (!parsed) throw new Error("Invalid GitHub PR URL");
 
-    const response = await fetch(
+    return apiRequest(
         `/api/pr/${parsed.owner}/${parsed.repo}/${parsed.number}`,
-        {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ token: auth.token }),
-        },
+        "POST",
+        { host: parsed.host, bypassCache },
     );
+}
 
-    if (!response.ok) {
-        // Handle authentication errors by clearing invalid token
-        if (response.status === 401) {
-            auth.clearInvalidToken();
-            throw new Error("Authentication failed. Please login again.");
+/**
+ * Fetches comments created or changed since the last sync of a pull request
+ * @param {string} url - GitHub PR URL to fetch updates for
+ * @param {Object} options - Update options
+ * @param {string} options.since - syncedAt timestamp of the previous fetch
+ * @param {string} options.headSha - Known head commit; files are only returned when it moved
+ * @returns {Promise<Object>} - Updates object containing pr, comments, reviewComments, reviews, files (or null) and syncedAt
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function fetchPRUpdates(url, { since, headSha }) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid GitHub PR URL");
+
+    return apiRequest(
+        `/api/pr/${parsed.owner}/${parsed.repo}/${parsed.number}/updates`,
+        "POST",
+        { host: parsed.host, since, headSha },
+    );
+}
+
+/**
+ * Subscribes to live updates of a pull request over Server-Sent Events
+ * The server polls GitHub once per PR for every subscriber and pushes the
+ * same payload as fetchPRUpdates whenever something changed
+ * @param {string} url - GitHub PR URL to watch
+ * @param {Object} options - Watch options
+ * @param {string} options.since - syncedAt timestamp of the loaded data
+ * @param {string} options.headSha - Known head commit; files are only pushed when it moves
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onUpdate - Called with each updates object
+ * @param {Function} handlers.onChange - Called with each { kind, action, item } change from a webhook
+ * @param {Function} handlers.onError - Called with an Error once the stream is closed for good
+ * @returns {Promise<Function>} - Unsubscribe function that closes the stream
+ * @throws {Error} - If URL is invalid or the watch can't be registered
+ */
+export async function subscribePR(
+    url,
+    { since, headSha },
+    { onUpdate, onChange, onError },
+) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid GitHub PR URL");
+
+    const { watchId, credentialId } = await apiRequest(
+        `/api/watch/${parsed.owner}/${parsed.repo}/${parsed.number}`,
+        "POST",
+        { host: parsed.host, since, headSha },
+    );
+
+    const source = new EventSource(`/api/events/${watchId}`);
+
+    source.addEventListener("update", (e) => {
+        const updates = JSON.parse(e.data);
+        // Watchers report their token's budget, which is the watch's account
+        rateLimit.update(updates.rateLimit, credentialId);
+        onUpdate(updates);
+    });
+
+    source.addEventListener("change", (e) => onChange(JSON.parse(e.data)));
+
+    source.addEventListener("failure", (e) => {
+        source.close();
+        const failure = JSON.parse(e.data);
+        if (failure.code === "credential_invalid") {
+            auth.requestReauth(failure.host);
         }
+        onError(new Error(failure.error));
+    });
 
-        const error = await response.json();
-        throw new Error(error.error);
-    }
+    // EventSource reconnects on its own; it only closes when that's hopeless
+    source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+            onError(new Error("Live updates disconnected"));
+        }
+    };
 
-    return response.json();
+    return () => source.close();
 }
 
 /**
@@ -48,25 +163,142 @@ export async function updateComment(url, commentId, type, body) {
     if (!parsed) throw new Error("Invalid PR URL");
 
     const commentType = type === "general" ? "issue" : "review";
-    const response = await fetch(
+    return apiRequest(
+        `/api/comment/${commentType}/${parsed.owner}/${parsed.repo}/${commentId}`,
+        "PATCH",
+        { host: parsed.host, body },
+    );
+}
+
+/**
+ * Deletes a comment on a GitHub pull request
+ * @param {string} url - GitHub PR URL where the comment exists
+ * @param {number|string} commentId - ID of the comment to delete
+ * @param {string} type - Comment type: "general" for issue comments or "review" for review comments
+ * @returns {Promise<null>}
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function deleteComment(url, commentId, type) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid PR URL");
+
+    const commentType = type === "general" ? "issue" : "review";
+    return apiRequest(
         `/api/comment/${commentType}/${parsed.owner}/${parsed.repo}/${commentId}`,
+        "DELETE",
+        { host: parsed.host },
+    );
+}
+
+/**
+ * Posts a new general comment on a GitHub pull request
+ * @param {string} url - GitHub PR URL to comment on
+ * @param {string} body - Content of the comment
+ * @returns {Promise<Object>} - Created comment data from GitHub API
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function createComment(url, body) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid PR URL");
+
+    return apiRequest(
+        `/api/comment/issue/${parsed.owner}/${parsed.repo}/${parsed.number}`,
+        "POST",
+        { host: parsed.host, body },
+    );
+}
+
+/**
+ * Replies in-thread to a review comment
+ * @param {string} url - GitHub PR URL where the comment exists
+ * @param {number|string} commentId - ID of the review comment to reply to
+ * @param {string} body - Content of the reply
+ * @returns {Promise<Object>} - Created comment data from GitHub API
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function replyToComment(url, commentId, body) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid PR URL");
+
+    return apiRequest(
+        `/api/comment/review/${parsed.owner}/${parsed.repo}/${parsed.number}`,
+        "POST",
+        { host: parsed.host, body, in_reply_to: commentId },
+    );
+}
+
+/**
+ * Posts a new inline review comment on a specific file and line
+ * @param {string} url - GitHub PR URL to comment on
+ * @param {Object} comment - Comment to create
+ * @param {string} comment.body - Content of the comment
+ * @param {string} comment.path - File path the comment applies to
+ * @param {number} comment.line - Line number in the diff
+ * @param {"LEFT" | "RIGHT"} comment.side - Side of the diff (LEFT for removed lines)
+ * @param {string} [comment.commitId] - Commit to attach to (defaults to the PR head)
+ * @returns {Promise<Object>} - Created comment data from GitHub API
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function createReviewComment(
+    url,
+    { body, path, line, side = "RIGHT", commitId },
+) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid PR URL");
+
+    return apiRequest(
+        `/api/comment/review/${parsed.owner}/${parsed.repo}/${parsed.number}`,
+        "POST",
+        { host: parsed.host, body, path, line, side, commit_id: commitId },
+    );
+}
+
+/**
+ * Submits a pull request review with batched inline comments
+ * @param {string} url - GitHub PR URL to review
+ * @param {Object} review - Review to submit
+ * @param {"APPROVE" | "REQUEST_CHANGES" | "COMMENT"} review.event - Review outcome
+ * @param {string} review.body - Review summary
+ * @param {Array<{path: string, line: number, side: string, body: string}>} review.comments - Pending inline comments
+ * @param {string} [review.commitId] - Commit the review applies to (defaults to the PR head)
+ * @returns {Promise<Object>} - Created review data from GitHub API
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function submitReview(
+    url,
+    { event, body, comments = [], commitId },
+) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid PR URL");
+
+    return apiRequest(
+        `/api/review/${parsed.owner}/${parsed.repo}/${parsed.number}`,
+        "POST",
         {
-            method: "PATCH",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ token: auth.token, body }),
+            host: parsed.host,
+            event,
+            body,
+            comments,
+            commit_id: commitId,
         },
     );
+}
 
-    if (!response.ok) {
-        // Handle authentication errors by clearing invalid token
-        if (response.status === 401) {
-            auth.clearInvalidToken();
-            throw new Error("Authentication failed. Please login again.");
-        }
-
-        const error = await response.json();
-        throw new Error(error.error);
-    }
+/**
+ * Fetches the content of a file in the PR's repository at a given ref
+ * @param {string} url - GitHub PR URL identifying the repository
+ * @param {string} path - File path within the repository
+ * @param {string} ref - Commit SHA, branch or tag to read the file at
+ * @returns {Promise<{path: string, ref: string, content: string}>} - File content
+ * @throws {Error} - If URL is invalid or API request fails
+ */
+export async function fetchFileContent(url, path, ref) {
+    const parsed = parseURL(url);
+    if (!parsed) throw new Error("Invalid PR URL");
 
-    return response.json();
+    return apiRequest(`/api/content/${parsed.owner}/${parsed.repo}`, "POST", {
+        host: parsed.host,
+        path,
+        ref,
+    });
 }
@@ -1,175 +1,519 @@
+import { untrack } from "svelte";
+import {
+    DEFAULT_CATEGORIES,
+    createClassifier,
+    normalizeCategories,
+} from "../utils/classification.js";
+import {
+    EMPTY_FILTER,
+    createCommentFilter,
+    isFilterActive,
+} from "../utils/filters.js";
+import { decodeWorkspace, defaultSections } from "../utils/workspace.js";
+
 // ============================================================================
 // Authentication State
 // ============================================================================
 
-const STORAGE_KEY = "githubToken";
-const GITHUB_TOKEN_PATTERN = /^gh[ps]_[a-zA-Z0-9]{36,}$/;
+// Tokens used to be kept in localStorage under this key; they now live in a
+// server session and are only read here to migrate existing logins
+const LEGACY_STORAGE_KEY = "githubToken";
 
 /**
- * Safely retrieves the GitHub token from localStorage
- * @returns {string} - The stored token or empty string if unavailable
+ * Safely takes the legacy GitHub token out of localStorage
+ * @returns {string} - The stored token or empty string if none
  */
-function getStoredToken() {
+function takeLegacyToken() {
     try {
-        return localStorage.getItem(STORAGE_KEY) || "";
+        const token = localStorage.getItem(LEGACY_STORAGE_KEY) || "";
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        return token;
     } catch (error) {
         console.error("Failed to access localStorage:", error);
         return "";
     }
 }
 
+let _isAuthenticated = $state(false);
+let _checking = $state(true);
+let _deviceFlow = $state(null);
+let _addingAccount = $state(false);
+let _reauthHost = $state(null);
+let _hosts = $state(["github.com"]);
+
 /**
- * Safely stores the GitHub token in localStorage
- * @param {string} token - The token to store
- * @returns {boolean} - True if successfully stored, false otherwise
+ * Saved GitHub accounts as reported by the server (without their tokens)
+ * @type {Array<{id: string, label: string, host: string, owners: Array<string>, invalid: boolean, user: {login: string, name: string, avatarUrl: string, scopes: Array<string> | null, missingRepoScope: boolean}}>}
  */
-function setStoredToken(token) {
-    try {
-        localStorage.setItem(STORAGE_KEY, token);
-        return true;
-    } catch (error) {
-        console.error("Failed to save token to localStorage:", error);
-        return false;
-    }
-}
+let _credentials = $state([]);
+let _activeId = $state(null);
+
+let _activeCredential = $derived(
+    _credentials.find((c) => c.id === _activeId) ?? null,
+);
 
 /**
- * Safely removes the GitHub token from localStorage
- * @returns {boolean} - True if successfully removed, false otherwise
+ * Creates and exports the authentication state manager
+ * GitHub tokens are held by the server session (an HttpOnly cookie), so
+ * this only tracks whether the browser is signed in and with which accounts
  */
-function removeStoredToken() {
-    try {
-        localStorage.removeItem(STORAGE_KEY);
-        return true;
-    } catch (error) {
-        console.error("Failed to remove token from localStorage:", error);
-        return false;
-    }
+export function createAuthState() {
+    return {
+        /**
+         * Gets the authentication status
+         * @returns {boolean} - True if authenticated
+         */
+        get isAuthenticated() {
+            return _isAuthenticated;
+        },
+
+        /**
+         * Whether the session is still being checked on startup
+         * @returns {boolean} - True until the first session check finished
+         */
+        get checking() {
+            return _checking;
+        },
+
+        /**
+         * Gets the saved accounts
+         * @returns {Array<Object>} - Credentials in the order they were added
+         */
+        get credentials() {
+            return _credentials;
+        },
+
+        /**
+         * Gets the id of the active account
+         * @returns {string|null} - Credential id, or null if signed out
+         */
+        get activeId() {
+            return _activeId;
+        },
+
+        /**
+         * Gets the active account, used for owners no account is assigned to
+         * @returns {Object|null} - Credential, or null if signed out
+         */
+        get activeCredential() {
+            return _activeCredential;
+        },
+
+        /**
+         * Gets the GitHub user of the active account
+         * @returns {Object|null} - User, or null if unknown
+         */
+        get user() {
+            return _activeCredential?.user ?? null;
+        },
+
+        /**
+         * Host the server offers OAuth device flow login for
+         * @returns {string|null} - Host, or null if no OAuth app is configured
+         */
+        get deviceFlow() {
+            return _deviceFlow;
+        },
+
+        /**
+         * Gets the GitHub hosts accounts can be added for
+         * @returns {Array<string>} - github.com followed by configured Enterprise hosts
+         */
+        get hosts() {
+            return _hosts;
+        },
+
+        /**
+         * Whether the login form is open to add another account
+         * @returns {boolean} - True while adding an account
+         */
+        get addingAccount() {
+            return _addingAccount;
+        },
+
+        /**
+         * Host whose token GitHub rejected, when the login form was opened
+         * to sign in to it again
+         * @returns {string|null} - Host, or null when adding an account
+         */
+        get reauthHost() {
+            return _reauthHost;
+        },
+
+        /**
+         * Takes a token left in localStorage by older versions, if any
+         * @returns {string} - Legacy token to exchange for a session, or empty string
+         */
+        takeLegacyToken() {
+            return takeLegacyToken();
+        },
+
+        /**
+         * Records the session status reported by the server
+         * @param {boolean} authenticated - Whether the session is valid
+         * @returns {void}
+         */
+        setAuthenticated(authenticated) {
+            _isAuthenticated = authenticated;
+            _checking = false;
+            if (!authenticated) {
+                _credentials = [];
+                _activeId = null;
+                _addingAccount = false;
+            }
+        },
+
+        /**
+         * Records the session reported by the server
+         * @param {{authenticated: boolean, credentials: Array<Object>, activeId: string|null}} session - Session description
+         * @returns {void}
+         */
+        setSession({ authenticated, credentials, activeId }) {
+            _credentials = credentials ?? [];
+            _activeId = activeId ?? null;
+            this.setAuthenticated(authenticated);
+        },
+
+        /**
+         * Records which host the server offers OAuth device flow login for
+         * @param {string|null} host - Host, or null if no OAuth app is configured
+         * @returns {void}
+         */
+        setDeviceFlow(host) {
+            _deviceFlow = host;
+        },
+
+        /**
+         * Records the GitHub hosts the server accepts accounts for
+         * @param {Array<string>} hosts - Known hosts
+         * @returns {void}
+         */
+        setHosts(hosts) {
+            if (hosts?.length) _hosts = hosts;
+        },
+
+        /**
+         * Opens or closes the login form for adding another account
+         * @param {boolean} adding - Whether to show the login form
+         * @returns {void}
+         */
+        setAddingAccount(adding) {
+            _addingAccount = adding;
+            _reauthHost = null;
+        },
+
+        /**
+         * Flags an account whose token GitHub rejected, until the server
+         * reports the session again
+         * @param {string|null} id - Credential id
+         * @returns {void}
+         */
+        markInvalid(id) {
+            _credentials = _credentials.map((c) =>
+                c.id === id ? { ...c, invalid: true } : c,
+            );
+        },
+
+        /**
+         * Opens the login form to sign in again to a host whose token
+         * GitHub rejected
+         * @param {string} host - GitHub host
+         * @returns {void}
+         */
+        requestReauth(host) {
+            _addingAccount = true;
+            _reauthHost = host;
+        },
+    };
 }
 
 /**
- * Validates if a token matches GitHub token format
- * @param {string} token - Token to validate
- * @returns {boolean} - True if token format is valid
+ * Singleton instance of authentication state
  */
-function isValidTokenFormat(token) {
-    if (!token || typeof token !== "string") {
-        return false;
-    }
-    return GITHUB_TOKEN_PATTERN.test(token);
-}
+export const auth = createAuthState();
+
+// ============================================================================
+// Panels State
+// ============================================================================
+
+const DEFAULT_PANEL_COUNT = 3;
 
 /**
- * Trims and validates a token string
- * @param {string} token - Token to sanitize
- * @returns {string} - Sanitized token
+ * Safely reads the workspace encoded in the page URL hash
+ * @returns {Array<{url: string, sections: Object}>} - Workspace entries (empty if none)
  */
-function sanitizeToken(token) {
-    return token ? token.trim() : "";
+function getInitialWorkspace() {
+    try {
+        return decodeWorkspace(window.location.hash);
+    } catch (error) {
+        console.error("Failed to restore workspace from URL:", error);
+        return [];
+    }
 }
 
-let _token = $state(getStoredToken());
-let _isAuthenticated = $derived(!!_token);
+const _initialWorkspace = getInitialWorkspace();
+const _initialPanelCount = _initialWorkspace.length || DEFAULT_PANEL_COUNT;
+
+// Ordered list of panel ids; ids are stable while positions change on reorder
+let _nextPanelId = _initialPanelCount + 1;
+let _panels = $state(
+    Array.from({ length: _initialPanelCount }, (_, i) => i + 1),
+);
 
 /**
- * Creates and exports the authentication state manager
- * Handles GitHub token storage and authentication status with validation
+ * Creates and exports the panels state manager
+ * Handles adding, removing and reordering of PR panels at runtime
  */
-export function createAuthState() {
+export function createPanelsState() {
     return {
         /**
-         * Gets the current authentication token
-         * @returns {string} - Current token
+         * Gets the ordered list of panel ids
+         * @returns {Array<number>} - Panel ids in display order
          */
-        get token() {
-            return _token;
+        get ids() {
+            return _panels;
         },
 
         /**
-         * Gets the authentication status
-         * @returns {boolean} - True if authenticated
+         * Gets the number of panels
+         * @returns {number} - Panel count
          */
-        get isAuthenticated() {
-            return _isAuthenticated;
+        get count() {
+            return _panels.length;
         },
 
         /**
-         * Checks if current token format is valid
-         * @returns {boolean} - True if token format is valid
+         * Gets the 1-based display position of a panel
+         * @param {number} panelId - Id of the panel
+         * @returns {number} - Position of the panel, or 0 if it doesn't exist
          */
-        get isValidFormat() {
-            return isValidTokenFormat(_token);
+        positionOf(panelId) {
+            return _panels.indexOf(panelId) + 1;
         },
 
         /**
-         * Logs in with a new token
-         * @param {string} newToken - GitHub personal access token
-         * @returns {boolean} - True if login successful
+         * Appends a new panel
+         * @returns {number} - Id of the created panel
          */
-        login(newToken) {
-            const sanitized = sanitizeToken(newToken);
+        add() {
+            const panelId = _nextPanelId++;
+            _panels.push(panelId);
+            return panelId;
+        },
 
-            if (!sanitized) {
-                console.error("Cannot login with empty token");
+        /**
+         * Removes a panel and its comment count
+         * The last remaining panel can't be removed
+         * @param {number} panelId - Id of the panel to remove
+         * @returns {boolean} - True if the panel was removed
+         */
+        remove(panelId) {
+            const index = _panels.indexOf(panelId);
+            if (index === -1 || _panels.length <= 1) {
                 return false;
             }
 
-            if (!isValidTokenFormat(sanitized)) {
-                console.warn(
-                    "Token format doesn't match GitHub PAT pattern. It may not work correctly.",
-                );
+            _panels.splice(index, 1);
+            panelComments.removePanel(panelId);
+            panelData.remove(panelId);
+            workspace.removePanel(panelId);
+            return true;
+        },
+
+        /**
+         * Replaces all panels with a fresh set of panels
+         * New ids are used so existing panel components are recreated
+         * @param {number} count - Number of panels to create
+         * @returns {Array<number>} - Ids of the created panels
+         */
+        reset(count) {
+            for (const panelId of _panels) {
+                panelComments.removePanel(panelId);
+                panelData.remove(panelId);
             }
 
-            _token = sanitized;
-            const stored = setStoredToken(sanitized);
+            _panels = Array.from(
+                { length: Math.max(count, 1) },
+                () => _nextPanelId++,
+            );
+            return _panels;
+        },
 
-            if (!stored) {
-                console.error(
-                    "Token set in memory but failed to persist to storage",
-                );
+        /**
+         * Moves a panel by an offset in the display order
+         * @param {number} panelId - Id of the panel to move
+         * @param {number} offset - Number of positions to move (negative moves left)
+         * @returns {boolean} - True if the panel was moved
+         */
+        move(panelId, offset) {
+            const from = _panels.indexOf(panelId);
+            const to = from + offset;
+            if (from === -1 || to < 0 || to >= _panels.length) {
+                return false;
             }
 
+            _panels.splice(from, 1);
+            _panels.splice(to, 0, panelId);
             return true;
         },
+    };
+}
+
+/**
+ * Singleton instance of panels state
+ */
+export const panels = createPanelsState();
+
+// ============================================================================
+// Workspace State
+// ============================================================================
+
+// Loaded PR url and expanded sections of each panel, keyed by panel id
+let _workspace = $state(
+    Object.fromEntries(_initialWorkspace.map((entry, i) => [i + 1, entry])),
+);
+
+/**
+ * Creates and exports the workspace state manager
+ * Tracks what each panel shows so the comparison can be encoded in the page URL
+ */
+export function createWorkspaceState() {
+    return {
+        /**
+         * Gets the workspace entries in panel display order
+         * @returns {Array<{url: string, sections: Object}>} - Workspace entries
+         */
+        get entries() {
+            return _panels.map(
+                (panelId) =>
+                    _workspace[panelId] ?? {
+                        url: "",
+                        sections: defaultSections(),
+                    },
+            );
+        },
 
         /**
-         * Logs out and clears authentication
-         * @returns {boolean} - True if logout successful
+         * Gets the workspace entry of a panel
+         * @param {number} panelId - Id of the panel
+         * @returns {{url: string, sections: Object}|undefined} - Entry or undefined if none
          */
-        logout() {
-            _token = "";
-            return removeStoredToken();
+        get(panelId) {
+            return _workspace[panelId];
         },
 
         /**
-         * Clears token if it's invalid or expired
-         * Useful for handling API auth errors
+         * Merges changes into a panel's workspace entry
+         * Reads untracked so effects can call it without depending on the entry
+         * @param {number} panelId - Id of the panel
+         * @param {{url?: string, sections?: Object}} changes - Fields to update
          * @returns {void}
          */
-        clearInvalidToken() {
-            if (_token) {
-                console.warn("Clearing potentially invalid token");
-                this.logout();
-            }
+        update(panelId, changes) {
+            const current = untrack(() => _workspace[panelId]) ?? {
+                url: "",
+                sections: defaultSections(),
+            };
+            _workspace[panelId] = { ...current, ...changes };
+        },
+
+        /**
+         * Removes a panel's workspace entry
+         * @param {number} panelId - Id of the panel
+         * @returns {void}
+         */
+        removePanel(panelId) {
+            delete _workspace[panelId];
+        },
+
+        /**
+         * Replaces the whole workspace, recreating panels for each entry
+         * @param {Array<{url: string, sections: Object}>} entries - Decoded workspace entries
+         * @returns {void}
+         */
+        restore(entries) {
+            const ids = panels.reset(entries.length || DEFAULT_PANEL_COUNT);
+            _workspace = Object.fromEntries(
+                entries.map((entry, i) => [ids[i], entry]),
+            );
         },
     };
 }
 
 /**
- * Singleton instance of authentication state
+ * Singleton instance of workspace state
  */
-export const auth = createAuthState();
+export const workspace = createWorkspaceState();
+
+// ============================================================================
+// Panel Data State
+// ============================================================================
+
+// Loaded PR data of each panel keyed by panel id, shared with cross-PR views
+let _panelData = $state({});
+
+/**
+ * Creates and exports the panel data state manager
+ * Exposes what every panel has loaded so views can compare PRs
+ */
+export function createPanelDataState() {
+    return {
+        /**
+         * Gets the loaded panels in display order
+         * @returns {Array<{id: number, position: number, url: string, pr: Object, comments: Array, reviewComments: Array, reviews: Array, files: Array}>} - Loaded panel data
+         */
+        get loaded() {
+            return _panels
+                .map((panelId, i) => ({
+                    id: panelId,
+                    position: i + 1,
+                    data: _panelData[panelId],
+                }))
+                .filter((entry) => entry.data)
+                .map(({ id, position, data }) => ({ id, position, ...data }));
+        },
+
+        /**
+         * Gets the data loaded by a panel
+         * @param {number} panelId - Id of the panel
+         * @returns {Object|undefined} - Panel data or undefined if nothing is loaded
+         */
+        get(panelId) {
+            return _panelData[panelId];
+        },
+
+        /**
+         * Stores the data loaded by a panel
+         * @param {number} panelId - Id of the panel
+         * @param {Object} data - PR data with the url it was loaded from
+         * @returns {void}
+         */
+        set(panelId, data) {
+            _panelData[panelId] = data;
+        },
+
+        /**
+         * Removes a panel's data
+         * @param {number} panelId - Id of the panel
+         * @returns {void}
+         */
+        remove(panelId) {
+            delete _panelData[panelId];
+        },
+    };
+}
+
+/**
+ * Singleton instance of panel data state
+ */
+export const panelData = createPanelDataState();
 
 // ============================================================================
 // Panel Comments State
 // ============================================================================
 
-// Store for individual panel comment counts using $state
-let _panelComments = $state({
-    1: 0,
-    2: 0,
-    3: 0,
-});
+// Store for individual panel comment counts keyed by panel id using $state
+let _panelComments = $state({});
 
 // Derived total comments count using $derived
 let _totalCommentsCount = $derived(
@@ -194,6 +538,9 @@ export function createPanelCommentsState() {
         resetPanel(panelIndex) {
             _panelComments[panelIndex] = 0;
         },
+        removePanel(panelIndex) {
+            delete _panelComments[panelIndex];
+        },
     };
 }
 
@@ -212,6 +559,375 @@ export const totalCommentsCount = {
     },
 };
 
+// ============================================================================
+// Pending Review State
+// ============================================================================
+
+// Inline comments queued for the next review, keyed by PR (see prKey)
+let _nextPendingId = 1;
+let _pendingReviews = $state({});
+
+/**
+ * Creates and exports the pending review state manager
+ * Batches inline comments so they can be submitted together as one review
+ */
+export function createPendingReviewState() {
+    return {
+        /**
+         * Gets the pending inline comments of a PR
+         * @param {string} key - PR key from prKey()
+         * @returns {Array<{id: number, path: string, line: number, side: string, commitId: string, body: string}>} - Pending comments
+         */
+        get(key) {
+            return _pendingReviews[key] ?? [];
+        },
+
+        /**
+         * Queues an inline comment for the next review of a PR
+         * @param {string} key - PR key from prKey()
+         * @param {{path: string, line: number, side: string, commitId: string, body: string}} comment - Inline comment and the commit whose diff its line was picked on
+         * @returns {void}
+         */
+        add(key, comment) {
+            _pendingReviews[key] = [
+                ...(_pendingReviews[key] ?? []),
+                { ...comment, id: _nextPendingId++ },
+            ];
+        },
+
+        /**
+         * Removes a queued inline comment
+         * @param {string} key - PR key from prKey()
+         * @param {number} commentId - Id of the pending comment
+         * @returns {void}
+         */
+        remove(key, commentId) {
+            _pendingReviews[key] = (_pendingReviews[key] ?? []).filter(
+                (c) => c.id !== commentId,
+            );
+        },
+
+        /**
+         * Discards all queued inline comments of a PR
+         * @param {string} key - PR key from prKey()
+         * @returns {void}
+         */
+        clear(key) {
+            delete _pendingReviews[key];
+        },
+    };
+}
+
+/**
+ * Singleton instance of pending review state
+ */
+export const pendingReview = createPendingReviewState();
+
+// ============================================================================
+// Undoable Deletion State
+// ============================================================================
+
+// Ids of comments deleted from this tab whose undo window is still open
+const _undoableDeletes = new Set();
+
+/**
+ * Creates and exports the undoable deletion state manager
+ * Lets pushed updates leave a deleted comment in place while its undo
+ * notice is still shown
+ */
+export function createUndoableDeletesState() {
+    return {
+        /**
+         * Whether a comment's deletion can still be undone
+         * @param {number} commentId - Id of the comment
+         * @returns {boolean} - True while the undo window is open
+         */
+        has(commentId) {
+            return _undoableDeletes.has(commentId);
+        },
+
+        /**
+         * Records that a comment's undo window opened
+         * @param {number} commentId - Id of the deleted comment
+         * @returns {void}
+         */
+        add(commentId) {
+            _undoableDeletes.add(commentId);
+        },
+
+        /**
+         * Records that a comment's undo window closed
+         * @param {number} commentId - Id of the deleted comment
+         * @returns {void}
+         */
+        remove(commentId) {
+            _undoableDeletes.delete(commentId);
+        },
+    };
+}
+
+/**
+ * Singleton instance of undoable deletion state
+ */
+export const undoableDeletes = createUndoableDeletesState();
+
+// ============================================================================
+// Diff Preferences State
+// ============================================================================
+
+const DIFF_MODE_STORAGE_KEY = "diffMode";
+const DIFF_MODES = ["unified", "split"];
+
+/**
+ * Safely retrieves the preferred diff mode from localStorage
+ * @returns {"unified" | "split"} - The stored mode, or unified if unavailable
+ */
+function getStoredDiffMode() {
+    try {
+        const mode = localStorage.getItem(DIFF_MODE_STORAGE_KEY);
+        return DIFF_MODES.includes(mode) ? mode : "unified";
+    } catch (error) {
+        console.error("Failed to access localStorage:", error);
+        return "unified";
+    }
+}
+
+let _diffMode = $state(getStoredDiffMode());
+
+/**
+ * Creates and exports the diff preferences state manager
+ * Remembers whether diffs are rendered unified or split across sessions
+ */
+export function createDiffPreferencesState() {
+    return {
+        /**
+         * Gets the preferred diff mode
+         * @returns {"unified" | "split"} - Current diff mode
+         */
+        get mode() {
+            return _diffMode;
+        },
+
+        /**
+         * Switches between unified and split diffs and persists the choice
+         * @returns {void}
+         */
+        toggleMode() {
+            _diffMode = _diffMode === "split" ? "unified" : "split";
+
+            try {
+                localStorage.setItem(DIFF_MODE_STORAGE_KEY, _diffMode);
+            } catch (error) {
+                console.error(
+                    "Failed to save diff mode to localStorage:",
+                    error,
+                );
+            }
+        },
+    };
+}
+
+/**
+ * Singleton instance of diff preferences state
+ */
+export const diffPreferences = createDiffPreferencesState();
+
+// ============================================================================
+// Classification State
+// ============================================================================
+
+const CLASSIFICATION_STORAGE_KEY = "commentCategories";
+
+/**
+ * Safely retrieves the user's comment categories from localStorage
+ * @returns {Array<Object>} - Stored categories, or the defaults if none are saved
+ */
+function getStoredCategories() {
+    try {
+        const stored = localStorage.getItem(CLASSIFICATION_STORAGE_KEY);
+        return (
+            (stored && normalizeCategories(JSON.parse(stored))) ||
+            structuredClone(DEFAULT_CATEGORIES)
+        );
+    } catch (error) {
+        console.error("Failed to read comment categories:", error);
+        return structuredClone(DEFAULT_CATEGORIES);
+    }
+}
+
+let _categories = $state(getStoredCategories());
+let _classify = $derived(createClassifier(_categories));
+
+/**
+ * Creates and exports the comment classification state manager
+ * Holds the user's categories and their rules, persisted across sessions
+ */
+export function createClassificationState() {
+    return {
+        /**
+         * Gets the categories in priority order
+         * @returns {Array<{id: string, name: string, color: string, rules: Array<Object>}>} - Categories
+         */
+        get categories() {
+            return _categories;
+        },
+
+        /**
+         * Finds the categories a comment matches
+         * @param {string} body - Comment body
+         * @returns {Array<Object>} - Matching categories in priority order
+         */
+        classify(body) {
+            return _classify(body);
+        },
+
+        /**
+         * Replaces the categories and persists them
+         * @param {Array<Object>} categories - New categories
+         * @returns {void}
+         */
+        setCategories(categories) {
+            _categories = normalizeCategories(categories) ?? [];
+
+            try {
+                localStorage.setItem(
+                    CLASSIFICATION_STORAGE_KEY,
+                    JSON.stringify(_categories),
+                );
+            } catch (error) {
+                console.error(
+                    "Failed to save comment categories to localStorage:",
+                    error,
+                );
+            }
+        },
+    };
+}
+
+/**
+ * Singleton instance of comment classification state
+ */
+export const classification = createClassificationState();
+
+// ============================================================================
+// Filter State
+// ============================================================================
+
+// Comment filter shared by every panel
+let _filter = $state({ ...EMPTY_FILTER });
+let _filterActive = $derived(isFilterActive(_filter));
+let _matches = $derived(
+    createCommentFilter(_filter, { classify: (body) => _classify(body) }),
+);
+
+/**
+ * Creates and exports the comment filter state manager
+ * The filter applies to the comments of every panel at once
+ */
+export function createFilterState() {
+    return {
+        /**
+         * Gets the filter values, bindable from the filter bar
+         * @returns {Object} - Filter fields (see EMPTY_FILTER)
+         */
+        get value() {
+            return _filter;
+        },
+
+        /**
+         * Whether any filter field is set
+         * @returns {boolean} - True if comments are being narrowed down
+         */
+        get active() {
+            return _filterActive;
+        },
+
+        /**
+         * Checks whether a comment passes the filter
+         * @param {Object} item - Comment or review
+         * @param {"general" | "review" | "summary"} type - Kind of item
+         * @returns {boolean} - True if the item matches
+         */
+        matches(item, type) {
+            return _matches(item, type);
+        },
+
+        /**
+         * Clears every filter field
+         * @returns {void}
+         */
+        clear() {
+            _filter = { ...EMPTY_FILTER };
+        },
+    };
+}
+
+/**
+ * Singleton instance of comment filter state
+ */
+export const filters = createFilterState();
+
+// ============================================================================
+// Rate Limit State
+// ============================================================================
+
+/**
+ * Latest GitHub rate limit reported by the server for each account, keyed
+ * by credential id; every token has a budget of its own
+ * @type {Object<string, {limit: number, remaining: number, used: number, reset: string, low: boolean}>}
+ */
+let _rateLimits = $state({});
+
+/**
+ * Creates and exports the rate limit state manager
+ */
+export function createRateLimitState() {
+    return {
+        /**
+         * Gets the latest known rate limit of the active account
+         * @returns {Object|null} - Rate limit, or null if none was reported yet
+         */
+        get value() {
+            return _rateLimits[_activeId] ?? null;
+        },
+
+        /**
+         * Whether automatic refreshes with the active account should pause
+         * until its budget resets
+         * @returns {boolean} - True if the budget is low and not reset yet
+         */
+        get shouldBackOff() {
+            return this.shouldBackOffFor(_activeId);
+        },
+
+        /**
+         * Whether automatic refreshes with an account should pause until its
+         * budget resets
+         * @param {string|null} credentialId - Credential id
+         * @returns {boolean} - True if the budget is low and not reset yet
+         */
+        shouldBackOffFor(credentialId) {
+            const rateLimit = _rateLimits[credentialId];
+            return !!rateLimit?.low && Date.parse(rateLimit.reset) > Date.now();
+        },
+
+        /**
+         * Stores a rate limit reported by the server
+         * @param {Object|null} value - Rate limit from an API response
+         * @param {string|null} credentialId - Account it belongs to, defaults to the one the server tagged it with
+         * @returns {void}
+         */
+        update(value, credentialId = value?.credentialId) {
+            if (value && credentialId) _rateLimits[credentialId] = value;
+        },
+    };
+}
+
+/**
+ * Singleton instance of rate limit state
+ */
+export const rateLimit = createRateLimitState();
+
 // ============================================================================
 // URL Propagation State
 // ============================================================================
@@ -219,7 +935,7 @@ export const totalCommentsCount = {
 // Store for URL propagation between panels using $state
 let _urlPropagation = $state({
     url: "",
-    sourceIndex: null,
+    sourceId: null,
     autoLoad: false,
 });
 
@@ -232,8 +948,8 @@ export function createUrlPropagationState() {
         get url() {
             return _urlPropagation.url;
         },
-        get sourceIndex() {
-            return _urlPropagation.sourceIndex;
+        get sourceId() {
+            return _urlPropagation.sourceId;
         },
         get autoLoad() {
             return _urlPropagation.autoLoad;
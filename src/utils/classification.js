@@ -0,0 +1,180 @@
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Colors a category can use, named after the theme colors in app.css
+ */
+export const CATEGORY_COLORS = [
+    "red",
+    "orange",
+    "yellow",
+    "green",
+    "cyan",
+    "purple",
+    "pink",
+];
+
+/**
+ * Ways a rule can match a comment body
+ * - keyword: the word or phrase appears on its own (case-insensitive)
+ * - regex: the regular expression matches (case-insensitive)
+ * - label: the comment starts with a Conventional Comments label such as
+ *   "nit:" or "issue (blocking):"
+ */
+export const RULE_TYPES = ["keyword", "regex", "label"];
+
+/**
+ * Categories used until the user defines their own
+ */
+export const DEFAULT_CATEGORIES = [
+    {
+        id: "blocker",
+        name: "Blocker",
+        color: "red",
+        rules: [
+            { type: "label", pattern: "issue" },
+            { type: "regex", pattern: "\\(blocking\\)" },
+            { type: "keyword", pattern: "blocker" },
+            { type: "keyword", pattern: "must" },
+        ],
+    },
+    {
+        id: "nit",
+        name: "Nit",
+        color: "yellow",
+        rules: [
+            { type: "label", pattern: "nit" },
+            { type: "keyword", pattern: "nit" },
+            { type: "keyword", pattern: "nitpick" },
+        ],
+    },
+    {
+        id: "question",
+        name: "Question",
+        color: "cyan",
+        rules: [
+            { type: "label", pattern: "question" },
+            { type: "regex", pattern: "\\?\\s*$" },
+        ],
+    },
+    {
+        id: "praise",
+        name: "Praise",
+        color: "green",
+        rules: [
+            { type: "label", pattern: "praise" },
+            { type: "keyword", pattern: "lgtm" },
+            { type: "keyword", pattern: "nice" },
+            { type: "keyword", pattern: "great" },
+        ],
+    },
+];
+
+// ============================================================================
+// Rule Compilation
+// ============================================================================
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compiles a rule into a regular expression
+ * @param {{type: string, pattern: string}} rule - Rule to compile
+ * @returns {RegExp} - Case-insensitive expression matching comment bodies
+ * @throws {Error} - If the rule type is unknown, the pattern is empty or the regex is invalid
+ */
+export function compileRule({ type, pattern }) {
+    const text = (pattern ?? "").trim();
+    if (!text) {
+        throw new Error("Pattern is empty");
+    }
+
+    switch (type) {
+        case "keyword":
+            return new RegExp(`(?<!\\w)${escapeRegExp(text)}(?!\\w)`, "i");
+        case "regex":
+            return new RegExp(text, "im");
+        case "label":
+            // "nit:", "**nit:**", "**nit**:" and "nit (non-blocking):"
+            return new RegExp(
+                `^\\s*\\**${escapeRegExp(text)}(?:\\s*\\([^)]*\\))?\\**\\s*:`,
+                "i",
+            );
+        default:
+            throw new Error(`Unknown rule type: ${type}`);
+    }
+}
+
+/**
+ * Checks whether a rule can be compiled
+ * @param {{type: string, pattern: string}} rule - Rule to check
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+export function validateRule(rule) {
+    try {
+        compileRule(rule);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Cleans up categories read from storage or edited by the user, dropping
+ * malformed entries
+ * @param {*} categories - Categories to check
+ * @returns {Array<Object>|null} - Valid categories, or null if the input isn't a list
+ */
+export function normalizeCategories(categories) {
+    if (!Array.isArray(categories)) return null;
+
+    return categories
+        .filter((category) => category?.id && category?.name)
+        .map((category) => ({
+            id: String(category.id),
+            name: String(category.name).trim(),
+            color: CATEGORY_COLORS.includes(category.color)
+                ? category.color
+                : CATEGORY_COLORS[0],
+            rules: (Array.isArray(category.rules) ? category.rules : [])
+                .filter((rule) => RULE_TYPES.includes(rule?.type))
+                .map((rule) => ({
+                    type: rule.type,
+                    pattern: String(rule.pattern ?? ""),
+                })),
+        }));
+}
+
+// ============================================================================
+// Classification
+// ============================================================================
+
+/**
+ * Creates a classifier for a set of categories
+ * Rules are compiled once; rules that don't compile are ignored
+ * @param {Array<{id: string, name: string, color: string, rules: Array<{type: string, pattern: string}>}>} categories - Categories in priority order
+ * @returns {(body: string) => Array<Object>} - Function returning the categories a comment body matches, in priority order
+ */
+export function createClassifier(categories) {
+    const compiled = categories.map((category) => ({
+        category,
+        patterns: category.rules
+            .filter((rule) => !validateRule(rule))
+            .map(compileRule),
+    }));
+
+    return (body) => {
+        if (!body) return [];
+
+        return compiled
+            .filter(({ patterns }) => patterns.some((re) => re.test(body)))
+            .map(({ category }) => category);
+    };
+}
@@ -0,0 +1,495 @@
+// ============================================================================
+// Sequence Diffing
+// ============================================================================
+
+/**
+ * Finds the middle snake of the shortest edit script between two sequences
+ * with Myers' linear-space variant: paths are grown from both ends at once
+ * until they overlap, keeping only the furthest reaching x of each diagonal
+ * @param {Array} a - Old sequence, without a common prefix or suffix
+ * @param {Array} b - New sequence, without a common prefix or suffix
+ * @returns {{x: number, y: number}|null} - Point on an optimal path to split at, or null if the sequences share nothing
+ */
+function findMiddleSnake(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const size = 2 * maxD;
+    const delta = n - m;
+    // With an odd delta the forward path reaches the overlap first
+    const front = delta % 2 !== 0;
+
+    // Furthest x per diagonal, counted from the start (forward) or end (reverse)
+    const forward = new Array(size).fill(-1);
+    const reverse = new Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    reverse[offset + 1] = 0;
+
+    // Diagonals that ran off the edges are skipped from then on
+    let forwardStart = 0;
+    let forwardEnd = 0;
+    let reverseStart = 0;
+    let reverseEnd = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+            const i = offset + k;
+            let x =
+                k === -d || (k !== d && forward[i - 1] < forward[i + 1])
+                    ? forward[i + 1]
+                    : forward[i - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            forward[i] = x;
+
+            if (x > n) {
+                forwardEnd += 2;
+            } else if (y > m) {
+                forwardStart += 2;
+            } else if (front) {
+                const j = offset + delta - k;
+                if (j >= 0 && j < size && reverse[j] !== -1) {
+                    if (x >= n - reverse[j]) return { x, y };
+                }
+            }
+        }
+
+        for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+            const i = offset + k;
+            let x =
+                k === -d || (k !== d && reverse[i - 1] < reverse[i + 1])
+                    ? reverse[i + 1]
+                    : reverse[i - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+                x++;
+                y++;
+            }
+            reverse[i] = x;
+
+            if (x > n) {
+                reverseEnd += 2;
+            } else if (y > m) {
+                reverseStart += 2;
+            } else if (!front) {
+                const j = offset + delta - k;
+                if (j >= 0 && j < size && forward[j] !== -1) {
+                    const forwardX = forward[j];
+                    if (forwardX >= n - x) {
+                        return { x: forwardX, y: forwardX - (j - offset) };
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Computes the shortest edit script between two sequences
+ * The sequences are split at the middle snake and each half is diffed on its
+ * own, so memory stays linear in the input size instead of growing with
+ * the number of edits
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @returns {Array<{type: "equal" | "delete" | "insert", value: *}>} - Edit operations in order
+ */
+function myersDiff(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const oldMiddle = a.slice(start, endA);
+    const newMiddle = b.slice(start, endB);
+    let ops;
+
+    if (oldMiddle.length === 0) {
+        ops = newMiddle.map((value) => ({ type: "insert", value }));
+    } else if (newMiddle.length === 0) {
+        ops = oldMiddle.map((value) => ({ type: "delete", value }));
+    } else {
+        const snake = findMiddleSnake(oldMiddle, newMiddle);
+        ops = snake
+            ? [
+                  ...myersDiff(
+                      oldMiddle.slice(0, snake.x),
+                      newMiddle.slice(0, snake.y),
+                  ),
+                  ...myersDiff(
+                      oldMiddle.slice(snake.x),
+                      newMiddle.slice(snake.y),
+                  ),
+              ]
+            : [
+                  ...oldMiddle.map((value) => ({ type: "delete", value })),
+                  ...newMiddle.map((value) => ({ type: "insert", value })),
+              ];
+    }
+
+    return [
+        ...a.slice(0, start).map((value) => ({ type: "equal", value })),
+        ...ops,
+        ...a.slice(endA).map((value) => ({ type: "equal", value })),
+    ];
+}
+
+/**
+ * Diffs two sequences, keeping their common prefix and suffix as equal
+ * Elements are compared with strict equality
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @returns {Array<{type: "equal" | "delete" | "insert", value: *}>} - Edit operations in order
+ * @throws {Error} - If either input is not an array
+ */
+export function diffSequences(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) {
+        throw new Error("diffSequences expects two arrays as input");
+    }
+
+    return myersDiff(a, b);
+}
+
+// ============================================================================
+// Unified Patches
+// ============================================================================
+
+/**
+ * Splits file content into lines, ignoring the trailing newline
+ * @param {string} text - File content
+ * @returns {Array<string>} - Lines of the file
+ */
+function splitLines(text) {
+    if (!text) return [];
+
+    const lines = text.split("\n");
+    if (lines[lines.length - 1] === "") lines.pop();
+    return lines;
+}
+
+/**
+ * Creates a unified diff patch between two versions of a file
+ * The output uses the same hunk format as GitHub patches, so it can be
+ * rendered with formatDiffForTable
+ * @param {string} oldText - Old file content
+ * @param {string} newText - New file content
+ * @param {number} context - Number of unchanged lines kept around each change
+ * @returns {string} - Unified diff patch, or empty string if the files are identical
+ */
+export function createUnifiedPatch(oldText, newText, context = 3) {
+    const ops = diffSequences(splitLines(oldText), splitLines(newText));
+
+    // Annotate every operation with its position in both files
+    let oldLine = 1;
+    let newLine = 1;
+    const annotated = ops.map((op) => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== "insert") oldLine++;
+        if (op.type !== "delete") newLine++;
+        return entry;
+    });
+
+    const changes = annotated
+        .map((op, i) => (op.type === "equal" ? -1 : i))
+        .filter((i) => i !== -1);
+
+    if (changes.length === 0) {
+        return "";
+    }
+
+    // Merge changes whose context windows overlap into the same hunk
+    const ranges = [];
+    for (const i of changes) {
+        const start = Math.max(0, i - context);
+        const end = Math.min(annotated.length - 1, i + context);
+        const last = ranges[ranges.length - 1];
+
+        if (last && start <= last.end + 1) {
+            last.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    return ranges
+        .map(({ start, end }) => {
+            const hunk = annotated.slice(start, end + 1);
+            const oldCount = hunk.filter((op) => op.type !== "insert").length;
+            const newCount = hunk.filter((op) => op.type !== "delete").length;
+            const oldStart = oldCount ? hunk[0].oldLine : hunk[0].oldLine - 1;
+            const newStart = newCount ? hunk[0].newLine : hunk[0].newLine - 1;
+
+            const body = hunk.map((op) => {
+                const prefix =
+                    op.type === "insert"
+                        ? "+"
+                        : op.type === "delete"
+                          ? "-"
+                          : " ";
+                return `${prefix}${op.value}`;
+            });
+
+            return [
+                `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+                ...body,
+            ].join("\n");
+        })
+        .join("\n");
+}
+
+// ============================================================================
+// Context Expansion
+// ============================================================================
+
+/**
+ * Parses a hunk header line
+ * @param {string} line - Line starting with @@
+ * @returns {{oldStart: number, newStart: number}|null} - Start lines, or null if not a header
+ */
+function parseHunkHeader(line) {
+    const match = line.match(/^@@ -(\d+),?\d* \+(\d+),?\d* @@/);
+    return match
+        ? { oldStart: parseInt(match[1], 10), newStart: parseInt(match[2], 10) }
+        : null;
+}
+
+/**
+ * Finds where a patch starts and where the line after it sits in both files
+ * @param {string} patch - Unified diff patch
+ * @returns {{oldStart: number, newStart: number, oldNext: number, newNext: number}|null} -
+ *   First line numbers and the numbers following the last line, or null if the patch has no hunk
+ */
+export function getPatchBounds(patch) {
+    let bounds = null;
+
+    for (const line of (patch || "").split("\n")) {
+        const header = parseHunkHeader(line);
+        if (header) {
+            bounds = bounds ?? { ...header };
+            bounds.oldNext = header.oldStart;
+            bounds.newNext = header.newStart;
+            continue;
+        }
+
+        if (!bounds || line.startsWith("\\")) continue;
+
+        if (!line.startsWith("+")) bounds.oldNext++;
+        if (!line.startsWith("-")) bounds.newNext++;
+    }
+
+    return bounds;
+}
+
+/**
+ * Completes a truncated hunk (such as a review comment's diff_hunk) from the
+ * file's full patch, when the full patch contains the same hunk
+ * @param {string} hunk - Possibly truncated hunk
+ * @param {string} filePatch - Full patch of the file
+ * @returns {string|null} - The complete hunk, or null if it can't be matched
+ */
+export function completeHunk(hunk, filePatch) {
+    if (!hunk || !filePatch) return null;
+
+    const hunkLines = hunk.split("\n");
+    const header = hunkLines[0];
+    if (!parseHunkHeader(header)) return null;
+
+    const patchLines = filePatch.split("\n");
+    const start = patchLines.indexOf(header);
+    if (start === -1) return null;
+
+    let end = start + 1;
+    while (end < patchLines.length && !parseHunkHeader(patchLines[end])) {
+        end++;
+    }
+
+    const fullHunk = patchLines.slice(start, end);
+    const isPrefix = hunkLines.every((line, i) => fullHunk[i] === line);
+
+    return isPrefix ? fullHunk.join("\n") : null;
+}
+
+/**
+ * Splits a patch into its hunks
+ * @param {string} patch - Unified diff patch
+ * @returns {Array<{oldStart: number, newStart: number, oldNext: number, newNext: number, lines: Array<string>}>} -
+ *   Start lines, the numbers following the last line, and the lines below the header
+ */
+function parseHunks(patch) {
+    const hunks = [];
+
+    for (const line of (patch || "").split("\n")) {
+        const header = parseHunkHeader(line);
+        if (header) {
+            hunks.push({
+                ...header,
+                oldNext: header.oldStart,
+                newNext: header.newStart,
+                lines: [],
+            });
+            continue;
+        }
+
+        const hunk = hunks[hunks.length - 1];
+        if (!hunk) continue;
+
+        hunk.lines.push(line);
+        if (line.startsWith("\\")) continue;
+        if (!line.startsWith("+")) hunk.oldNext++;
+        if (!line.startsWith("-")) hunk.newNext++;
+    }
+
+    return hunks;
+}
+
+/**
+ * Formats a hunk back into patch lines
+ * @param {{oldStart: number, newStart: number, oldNext: number, newNext: number, lines: Array<string>}} hunk - Parsed hunk
+ * @returns {Array<string>} - Header followed by the hunk's lines
+ */
+function formatHunk(hunk) {
+    const oldCount = hunk.oldNext - hunk.oldStart;
+    const newCount = hunk.newNext - hunk.newStart;
+    return [
+        `@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`,
+        ...hunk.lines,
+    ];
+}
+
+/**
+ * Reveals unchanged lines around a patch using the file's new-side content
+ * Revealed lines are added as context, keeping old/new line numbers aligned
+ * when the patch is rendered with formatDiffForTable. Only the unchanged gap
+ * up to the neighbouring hunks of the file's patch is revealed as context;
+ * once a gap is closed the neighbouring hunk is merged in and expansion
+ * carries on past it
+ * @param {string} patch - Unified diff patch (one or more hunks of filePatch)
+ * @param {Array<string>} fileLines - Lines of the file on the new side of filePatch
+ * @param {{above: number, below: number}} amount - Number of lines to reveal on each side
+ * @param {string} [filePatch] - Full patch of the file, defaults to the patch itself
+ * @returns {{patch: string, atTop: boolean, atBottom: boolean, revealed: Set<number>}} -
+ *   Expanded patch, whether the file edges were reached and the new-side numbers of the
+ *   revealed lines, which are outside the diff's hunks
+ */
+export function expandPatchContext(
+    patch,
+    fileLines,
+    { above = 0, below = 0 },
+    filePatch = patch,
+) {
+    const hunks = parseHunks(patch);
+    if (!hunks.length || !Array.isArray(fileLines)) {
+        return { patch, atTop: false, atBottom: false, revealed: new Set() };
+    }
+
+    const fileHunks = parseHunks(filePatch);
+    const first = { ...hunks[0], lines: [...hunks[0].lines] };
+    const last =
+        hunks.length > 1
+            ? {
+                  ...hunks[hunks.length - 1],
+                  lines: [...hunks[hunks.length - 1].lines],
+              }
+            : first;
+
+    const revealed = new Set();
+
+    // Grow the first hunk upwards through the gap before the previous hunk
+    let prevIndex = fileHunks.findLastIndex((h) => h.newNext <= first.newStart);
+    let remaining = Math.max(0, above);
+    for (;;) {
+        const prev = fileHunks[prevIndex];
+        const gapStart = prev ? prev.newNext : 1;
+        const take = Math.max(
+            0,
+            Math.min(
+                remaining,
+                first.newStart - gapStart,
+                first.oldStart - (prev ? prev.oldNext : 1),
+            ),
+        );
+
+        first.lines.unshift(
+            ...fileLines
+                .slice(first.newStart - take - 1, first.newStart - 1)
+                .map((line) => ` ${line}`),
+        );
+        for (let n = first.newStart - take; n < first.newStart; n++) {
+            revealed.add(n);
+        }
+        first.newStart -= take;
+        first.oldStart -= take;
+        remaining -= take;
+
+        if (!prev || first.newStart > gapStart) break;
+
+        // The gap is closed, so the previous hunk joins this one
+        first.lines.unshift(...prev.lines);
+        first.newStart = prev.newStart;
+        first.oldStart = prev.oldStart;
+        prevIndex--;
+    }
+
+    // Grow the last hunk downwards through the gap before the next hunk
+    let nextIndex = fileHunks.findIndex((h) => h.newStart >= last.newNext);
+    if (nextIndex === -1) nextIndex = fileHunks.length;
+    remaining = Math.max(0, below);
+    for (;;) {
+        const next = fileHunks[nextIndex];
+        const gapEnd = next ? next.newStart : fileLines.length + 1;
+        const take = Math.max(
+            0,
+            Math.min(
+                remaining,
+                gapEnd - last.newNext,
+                next ? next.oldStart - last.oldNext : Infinity,
+            ),
+        );
+
+        last.lines.push(
+            ...fileLines
+                .slice(last.newNext - 1, last.newNext - 1 + take)
+                .map((line) => ` ${line}`),
+        );
+        for (let n = last.newNext; n < last.newNext + take; n++) {
+            revealed.add(n);
+        }
+        last.newNext += take;
+        last.oldNext += take;
+        remaining -= take;
+
+        if (!next || last.newNext < gapEnd) break;
+
+        // The gap is closed, so the next hunk joins this one
+        last.lines.push(...next.lines);
+        last.newNext = next.newNext;
+        last.oldNext = next.oldNext;
+        nextIndex++;
+    }
+
+    const expanded =
+        hunks.length > 1 ? [first, ...hunks.slice(1, -1), last] : [first];
+
+    return {
+        patch: above || below ? expanded.flatMap(formatHunk).join("\n") : patch,
+        atTop: prevIndex < 0 && (first.newStart <= 1 || first.oldStart <= 1),
+        atBottom:
+            nextIndex >= fileHunks.length &&
+            last.newNext - 1 >= fileLines.length,
+        revealed,
+    };
+}
@@ -0,0 +1,259 @@
+import { groupByFile } from "./formatters.js";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Columns of the CSV export, in order
+ */
+export const CSV_COLUMNS = [
+    "panel",
+    "pr_number",
+    "pr_title",
+    "type",
+    "id",
+    "author",
+    "created_at",
+    "path",
+    "line",
+    "state",
+    "categories",
+    "url",
+    "body",
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ============================================================================
+// Records
+// ============================================================================
+
+/**
+ * Flattens a comment or review into the fields every export shares
+ * @param {Object} item - General comment, review comment or review
+ * @param {"general" | "review" | "summary"} type - Kind of item
+ * @param {(body: string) => Array<{name: string}>} classify - Returns the categories of a body
+ * @returns {Object} - Export record
+ */
+function toRecord(item, type, classify) {
+    return {
+        type,
+        id: item.id,
+        author: item.user?.login ?? null,
+        createdAt: item.created_at ?? item.submitted_at ?? null,
+        path: item.path ?? null,
+        line: item.line ?? item.original_line ?? null,
+        state: item.state ?? null,
+        inReplyToId: item.in_reply_to_id ?? null,
+        categories: classify(item.body).map((category) => category.name),
+        url: item.html_url ?? null,
+        body: item.body ?? "",
+    };
+}
+
+/**
+ * Builds the export records of every loaded panel
+ * Items without a body (such as bare approvals) are left out of the
+ * comment lists, but still count in review states
+ * @param {Array<Object>} entries - Loaded panels in display order
+ * @param {(body: string) => Array<{name: string}>} classify - Returns the categories of a body
+ * @returns {Array<Object>} - One report entry per panel
+ */
+function toReportEntries(entries, classify) {
+    return entries.map((entry) => ({
+        panel: entry.position,
+        url: entry.url,
+        pr: {
+            number: entry.pr?.number ?? null,
+            title: entry.pr?.title ?? "",
+            author: entry.pr?.user?.login ?? null,
+            state: entry.pr?.merged_at ? "merged" : (entry.pr?.state ?? null),
+            url: entry.pr?.html_url ?? entry.url,
+            changedFiles: entry.pr?.changed_files ?? entry.files?.length ?? 0,
+            additions: entry.pr?.additions ?? 0,
+            deletions: entry.pr?.deletions ?? 0,
+        },
+        comments: entry.comments
+            .filter((c) => c.body)
+            .map((c) => toRecord(c, "general", classify)),
+        reviewComments: entry.reviewComments
+            .filter((c) => c.body)
+            .map((c) => toRecord(c, "review", classify)),
+        reviews: entry.reviews
+            .filter((r) => r.state !== "PENDING")
+            .map((r) => toRecord(r, "summary", classify)),
+    }));
+}
+
+// ============================================================================
+// Formats
+// ============================================================================
+
+/**
+ * Quotes a comment body as a Markdown block quote
+ * @param {string} body - Comment body
+ * @returns {string} - Quoted body
+ */
+function quote(body) {
+    return body
+        .trim()
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+}
+
+/**
+ * Formats the heading line of a comment in the Markdown report
+ * @param {Object} record - Export record
+ * @returns {string} - Author, date, categories and link
+ */
+function recordHeading(record) {
+    const parts = [`**${record.author ?? "Unknown"}**`];
+    if (record.line) parts.push(`line ${record.line}`);
+    if (record.createdAt) parts.push(record.createdAt.slice(0, 10));
+    if (record.categories.length) {
+        parts.push(record.categories.map((name) => `\`${name}\``).join(" "));
+    }
+    if (record.url) parts.push(`[link](${record.url})`);
+    return parts.join(" · ");
+}
+
+/**
+ * Creates a Markdown report of the loaded PRs and their comments
+ * Review comments are grouped by file and sorted by line
+ * @param {Array<Object>} entries - Loaded panels in display order
+ * @param {Object} options - Report options
+ * @param {(body: string) => Array<{name: string}>} options.classify - Returns the categories of a body
+ * @param {Date} options.now - Time the report is generated at
+ * @returns {string} - Markdown document
+ */
+export function toMarkdown(
+    entries,
+    { classify = () => [], now = new Date() } = {},
+) {
+    const lines = [
+        "# Pull Request Comparison",
+        "",
+        `Generated ${now.toISOString()} from ${entries.length} pull request${entries.length === 1 ? "" : "s"}.`,
+    ];
+
+    for (const entry of toReportEntries(entries, classify)) {
+        const { pr } = entry;
+        lines.push(
+            "",
+            `## ${pr.number ? `PR #${pr.number}` : "PR"}: ${pr.title || "Untitled"}`,
+            "",
+            `- Panel: ${entry.panel}`,
+            `- URL: ${pr.url}`,
+            `- Author: ${pr.author ?? "Unknown"}`,
+            `- State: ${pr.state ?? "unknown"}`,
+            `- Changes: ${pr.changedFiles} file${pr.changedFiles === 1 ? "" : "s"}, +${pr.additions} -${pr.deletions}`,
+        );
+
+        if (entry.reviews.length) {
+            lines.push("", "### Reviews");
+            for (const review of entry.reviews) {
+                lines.push("", `${recordHeading(review)} · ${review.state}`);
+                if (review.body) lines.push("", quote(review.body));
+            }
+        }
+
+        if (entry.comments.length) {
+            lines.push("", "### General Comments");
+            for (const comment of entry.comments) {
+                lines.push("", recordHeading(comment), "", quote(comment.body));
+            }
+        }
+
+        const files = groupByFile(entry.reviewComments);
+        if (Object.keys(files).length) {
+            lines.push("", "### Review Comments");
+            for (const path of Object.keys(files).sort()) {
+                lines.push("", `#### \`${path}\``);
+                for (const comment of files[path]) {
+                    lines.push(
+                        "",
+                        recordHeading(comment),
+                        "",
+                        quote(comment.body),
+                    );
+                }
+            }
+        }
+    }
+
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Creates a JSON dump of the loaded PRs and their comments
+ * @param {Array<Object>} entries - Loaded panels in display order
+ * @param {Object} options - Export options
+ * @param {(body: string) => Array<{name: string}>} options.classify - Returns the categories of a body
+ * @param {Date} options.now - Time the export is generated at
+ * @returns {string} - Pretty-printed JSON document
+ */
+export function toJSON(
+    entries,
+    { classify = () => [], now = new Date() } = {},
+) {
+    return JSON.stringify(
+        {
+            generatedAt: now.toISOString(),
+            pullRequests: toReportEntries(entries, classify),
+        },
+        null,
+        2,
+    );
+}
+
+/**
+ * Escapes a value as a CSV cell
+ * Cells that spreadsheets would run as formulas are prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function csvCell(value) {
+    let text = value == null ? "" : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Creates a CSV of every comment and review of the loaded PRs, one per row
+ * @param {Array<Object>} entries - Loaded panels in display order
+ * @param {Object} options - Export options
+ * @param {(body: string) => Array<{name: string}>} options.classify - Returns the categories of a body
+ * @returns {string} - CSV document with a header row (CSV_COLUMNS)
+ */
+export function toCSV(entries, { classify = () => [] } = {}) {
+    const rows = [CSV_COLUMNS];
+
+    for (const entry of toReportEntries(entries, classify)) {
+        for (const record of [
+            ...entry.comments,
+            ...entry.reviewComments,
+            ...entry.reviews,
+        ]) {
+            rows.push([
+                entry.panel,
+                entry.pr.number,
+                entry.pr.title,
+                record.type,
+                record.id,
+                record.author,
+                record.createdAt,
+                record.path,
+                record.line,
+                record.state,
+                record.categories.join("; "),
+                record.url,
+                record.body,
+            ]);
+        }
+    }
+
+    return `${rows.map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,240 @@
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Comment types the filter can narrow down to, as used by Comments.svelte
+ */
+export const FILTER_TYPES = [
+    { id: "general", label: "General comments" },
+    { id: "review", label: "Review comments" },
+    { id: "summary", label: "Reviews" },
+];
+
+/**
+ * Filter that lets every comment through
+ * Dates are local calendar days (YYYY-MM-DD), both ends included
+ */
+export const EMPTY_FILTER = {
+    text: "",
+    author: "",
+    path: "",
+    type: "",
+    from: "",
+    to: "",
+    category: "",
+};
+
+/**
+ * Named character references decoded before matching; others are left as
+ * they are and never matched into
+ */
+const NAMED_ENTITIES = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: "\u00a0",
+};
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Creates a matcher for a file path glob
+ * `**` matches across directories, `*` within one and `?` a single character.
+ * Globs without a slash are also tried against the file name alone
+ * @param {string} glob - Glob such as "src/**\/*.js" or "*.svelte"
+ * @returns {(path: string) => boolean} - Path matcher
+ */
+export function globToMatcher(glob) {
+    const pattern = glob.trim();
+
+    // Plain text narrows down by substring, like the other text fields
+    if (!/[*?]/.test(pattern)) {
+        const needle = pattern.toLowerCase();
+        return (path) => path.toLowerCase().includes(needle);
+    }
+
+    const source = pattern
+        .split(/(\*\*\/?|\*|\?)/)
+        .map((part) => {
+            if (part === "**/") return "(?:.*/)?";
+            if (part === "**") return ".*";
+            if (part === "*") return "[^/]*";
+            if (part === "?") return "[^/]";
+            return escapeRegExp(part);
+        })
+        .join("");
+    const re = new RegExp(`^${source}$`, "i");
+    const matchName = !pattern.includes("/");
+
+    return (path) =>
+        re.test(path) || (matchName && re.test(path.split("/").pop()));
+}
+
+/**
+ * Parses a calendar day of a date input into local midnight
+ * Days are counted on the calendar, so an offset lands on midnight even
+ * across a daylight saving change
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {number} offset - Days to move from it
+ * @returns {number|null} - Timestamp, or null if empty or invalid
+ */
+function parseDay(day, offset = 0) {
+    if (!day) return null;
+    const [year, month, date] = day.split("-").map(Number);
+    const time = new Date(year, month - 1, date + offset).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Whether a filter narrows anything down
+ * @param {Object} filter - Filter values
+ * @returns {boolean} - True if any field is set
+ */
+export function isFilterActive(filter) {
+    return Object.keys(EMPTY_FILTER).some((key) => !!filter[key]?.trim?.());
+}
+
+/**
+ * Creates a predicate for the comments a filter lets through
+ * Items without a path (general comments and reviews) don't match a path
+ * filter; all text matching is case-insensitive
+ * @param {Object} filter - Filter values (see EMPTY_FILTER)
+ * @param {Object} options - Filter options
+ * @param {(body: string) => Array<{id: string}>} options.classify - Returns the categories of a body
+ * @returns {(item: Object, type: string) => boolean} - Returns true if the item of the given type matches
+ */
+export function createCommentFilter(filter, { classify = () => [] } = {}) {
+    const text = filter.text.trim().toLowerCase();
+    const author = filter.author.trim().toLowerCase();
+    const matchPath = filter.path.trim() ? globToMatcher(filter.path) : null;
+    const from = parseDay(filter.from);
+    // The end day is included, so cut off at the midnight after it
+    const until = parseDay(filter.to, 1);
+    const { type, category } = filter;
+
+    return (item, itemType) => {
+        if (type && itemType !== type) return false;
+
+        if (text && !(item.body ?? "").toLowerCase().includes(text)) {
+            return false;
+        }
+
+        if (
+            author &&
+            !(item.user?.login ?? "").toLowerCase().includes(author)
+        ) {
+            return false;
+        }
+
+        if (matchPath && !(item.path && matchPath(item.path))) return false;
+
+        if (from !== null || until !== null) {
+            const time = Date.parse(item.created_at ?? item.submitted_at);
+            if (Number.isNaN(time)) return false;
+            if (from !== null && time < from) return false;
+            if (until !== null && time >= until) return false;
+        }
+
+        if (category && !classify(item.body).some((c) => c.id === category)) {
+            return false;
+        }
+
+        return true;
+    };
+}
+
+// ============================================================================
+// Highlighting
+// ============================================================================
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - HTML-escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Decodes the character references of rendered text
+ * @param {string} text - Text between tags
+ * @returns {string} - Raw text
+ */
+function decodeEntities(text) {
+    return text.replace(
+        /&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi,
+        (entity, dec, hex, name) => {
+            if (dec) return String.fromCodePoint(Number(dec));
+            if (hex) return String.fromCodePoint(parseInt(hex, 16));
+            return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        },
+    );
+}
+
+/**
+ * Marks occurrences of a search text in rendered HTML
+ * Only text between tags is searched, so markup and attributes stay intact.
+ * The text is decoded before matching and each piece escaped again after,
+ * so a query can't match inside a character reference
+ * @param {string} html - Rendered markdown
+ * @param {string} text - Search text
+ * @returns {string} - HTML with matches wrapped in <mark class="search-match">
+ */
+export function highlightMatches(html, text) {
+    const query = text?.trim();
+    if (!query) return html;
+
+    const re = new RegExp(`(${escapeRegExp(query)})`, "gi");
+    const known = Object.keys(NAMED_ENTITIES).join("|");
+    // References the decoder doesn't know are kept apart, untouched
+    const unknownEntity = new RegExp(
+        `(&(?!(?:${known});)[a-z][a-z\\d]*;)`,
+        "i",
+    );
+
+    /**
+     * Marks the matches in a run of text
+     * @param {string} run - Rendered text without unknown references
+     * @returns {string} - HTML of the run
+     */
+    const markRun = (run) =>
+        decodeEntities(run)
+            .split(re)
+            .map((segment, i) =>
+                i % 2
+                    ? `<mark class="search-match">${escapeHtml(segment)}</mark>`
+                    : escapeHtml(segment),
+            )
+            .join("");
+
+    return html
+        .split(/(<[^>]*>)/)
+        .map((part) =>
+            part.startsWith("<")
+                ? part
+                : part
+                      .split(unknownEntity)
+                      .map((run, i) => (i % 2 ? run : markRun(run)))
+                      .join(""),
+        )
+        .join("");
+}
@@ -2,6 +2,7 @@ import { marked } from "marked";
 import { gfmHeadingId } from "marked-gfm-heading-id";
 import { markedHighlight } from "marked-highlight";
 import hljs from "highlight.js";
+import { diffSequences } from "./diff.js";
 
 // ============================================================================
 // Constants
@@ -125,6 +126,120 @@ export function groupByFile(comments) {
     return groups;
 }
 
+/**
+ * Reconstructs review threads from in_reply_to_id
+ * GitHub points replies at the thread's first comment, but chains are
+ * followed too. Replies whose root isn't in the list (deleted or filtered
+ * out) start a thread of their own
+ * @param {Array<Object>} comments - Review comments, in the order threads should keep
+ * @param {Array<number>|null} resolvedIds - Root comment ids of resolved threads, or null if unknown
+ * @returns {Array<{root: Object, replies: Array<Object>, outdated: boolean, resolved: boolean|null}>} -
+ *   Threads in the order of their root comment, with replies oldest first. Outdated threads
+ *   no longer apply to the current diff (line is null but original_line is set)
+ * @throws {Error} - If comments is not an array
+ */
+export function buildThreads(comments, resolvedIds = null) {
+    if (!Array.isArray(comments)) {
+        throw new Error("buildThreads expects an array as input");
+    }
+
+    const byId = new Map(comments.map((comment) => [comment.id, comment]));
+
+    /**
+     * Follows in_reply_to_id up to the first comment still in the list
+     * @param {Object} comment - Review comment
+     * @returns {Object} - Root comment of its thread
+     */
+    const findRoot = (comment) => {
+        let root = comment;
+        const seen = new Set([root.id]);
+        while (
+            byId.has(root.in_reply_to_id) &&
+            !seen.has(root.in_reply_to_id)
+        ) {
+            root = byId.get(root.in_reply_to_id);
+            seen.add(root.id);
+        }
+        return root;
+    };
+
+    const threads = new Map();
+    for (const comment of comments) {
+        const root = findRoot(comment);
+        if (!threads.has(root.id)) {
+            threads.set(root.id, {
+                root,
+                replies: [],
+                outdated: root.line == null && root.original_line != null,
+                resolved: resolvedIds ? resolvedIds.includes(root.id) : null,
+            });
+        }
+        if (root !== comment) {
+            threads.get(root.id).replies.push(comment);
+        }
+    }
+
+    for (const thread of threads.values()) {
+        thread.replies.sort(
+            (a, b) => Date.parse(a.created_at) - Date.parse(b.created_at),
+        );
+    }
+
+    return [...threads.values()];
+}
+
+/**
+ * Aligns the review comments of several PRs by file path and line number
+ * Files commented in some but not all PRs are flagged as partial
+ * @param {Array<{id: number, reviewComments: Array<Object>}>} entries - Loaded panels to compare
+ * @returns {Array<{path: string, lines: Array<{line: number, comments: Object}>, panelIds: Array<number>, partial: boolean}>} -
+ *   Files sorted by path; each line maps panel ids to that panel's comments
+ * @throws {Error} - If entries is not an array
+ */
+export function alignCommentsByFile(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error("alignCommentsByFile expects an array as input");
+    }
+
+    // path -> line -> panel id -> comments
+    const files = {};
+
+    for (const entry of entries) {
+        const grouped = groupByFile(entry.reviewComments ?? []);
+
+        for (const [path, comments] of Object.entries(grouped)) {
+            files[path] ??= {};
+
+            for (const comment of comments) {
+                const line = getCommentLineNumber(comment);
+                files[path][line] ??= {};
+                files[path][line][entry.id] ??= [];
+                files[path][line][entry.id].push(comment);
+            }
+        }
+    }
+
+    return Object.keys(files)
+        .sort()
+        .map((path) => {
+            const lines = Object.keys(files[path])
+                .map(Number)
+                .sort((a, b) => a - b)
+                .map((line) => ({ line, comments: files[path][line] }));
+
+            const panelIds = entries
+                .map((entry) => entry.id)
+                .filter((id) => lines.some((line) => line.comments[id]));
+
+            return {
+                path,
+                lines,
+                panelIds,
+                partial: panelIds.length < entries.length,
+            };
+        });
+}
+
 // ============================================================================
 // Diff Formatting
 // ============================================================================
@@ -193,9 +308,22 @@ function splitHighlightedHtml(html) {
 /**
  * Formats a Git diff patch into an HTML table with syntax highlighting
  * @param {string} patch - Git diff patch string
+ * @param {Object} options - Formatting options
+ * @param {"unified" | "split"} [options.mode] - Single table, or removed and added lines side by side
+ * @param {{old: Set<number>, new: Set<number>}} [options.commentedLines] - Old/new line numbers to mark as commented
+ * @param {boolean} [options.selectable] - Render line numbers as buttons selecting the line for a comment
+ * @param {Set<number>} [options.revealedLines] - New-side numbers of context lines revealed around the hunks;
+ *   they are outside the diff, where GitHub doesn't take comments, so they are never selectable
  * @returns {string} - HTML string containing the formatted diff table
  */
-export function formatDiffForTable(patch) {
+export function formatDiffForTable(patch, options = {}) {
+    const {
+        mode = "unified",
+        commentedLines,
+        selectable = false,
+        revealedLines,
+    } = options;
+
     if (!patch) {
         return '<p class="no-diff">No diff available</p>';
     }
@@ -269,31 +397,285 @@ export function formatDiffForTable(patch) {
         highlightedLines = [];
     }
 
+    const rows = highlightedLines.map((code, i) => ({
+        type: lineTypes[i],
+        code,
+        raw: codeLines[i],
+        ...lineNumbers[i],
+        selectable: selectable && !revealedLines?.has(lineNumbers[i].new),
+    }));
+
     // Third pass: build the HTML table
+    return mode === "split"
+        ? renderSplitTable(rows, { commentedLines })
+        : renderUnifiedTable(rows, { commentedLines });
+}
+
+/**
+ * Checks whether a diff line carries a review comment
+ * @param {{old: Set<number>, new: Set<number>}|undefined} commentedLines - Commented old/new line numbers
+ * @param {number|string} oldNum - Old line number ("" if none)
+ * @param {number|string} newNum - New line number ("" if none)
+ * @returns {string} - Marker class to append to the row class
+ */
+function commentMarker(commentedLines, oldNum, newNum) {
+    return commentedLines?.old?.has(oldNum) || commentedLines?.new?.has(newNum)
+        ? " diff-commented-row"
+        : "";
+}
+
+/**
+ * Renders a line number cell; numbered cells carry the line and side a new
+ * inline comment on them would target
+ * @param {"old" | "new"} column - Line number column
+ * @param {number|string} num - Displayed line number ("" for none)
+ * @param {"LEFT" | "RIGHT"} side - Diff side a comment on this cell targets
+ * @param {Object} options - Cell options
+ * @param {number|string} [options.line] - Line a comment on this cell targets
+ * @param {boolean} [options.selectable] - Wrap the number in a button selecting the line
+ * @returns {string} - HTML table cell
+ */
+function lineNumCell(
+    column,
+    num,
+    side,
+    { line = num, selectable = false } = {},
+) {
+    if (!line || num === "") {
+        return `<td class="diff-line-num diff-line-num-${column}">${num}</td>`;
+    }
+
+    const label = `Comment on ${side === "LEFT" ? "removed " : ""}line ${line}`;
+    const content = selectable
+        ? `<button type="button" class="diff-line-select" aria-label="${label}">${num}</button>`
+        : num;
+    return `<td class="diff-line-num diff-line-num-${column}" data-line="${line}" data-side="${side}">${content}</td>`;
+}
+
+/**
+ * Renders diff rows as a unified table with old/new line number columns
+ * @param {Array<Object>} rows - Parsed diff rows
+ * @param {Object} options - Table options
+ * @param {{old: Set<number>, new: Set<number>}} [options.commentedLines] - Line numbers to mark as commented
+ * @returns {string} - HTML string containing the diff table
+ */
+function renderUnifiedTable(rows, { commentedLines }) {
     let html = '<table class="diff-table">';
 
-    for (let i = 0; i < highlightedLines.length; i++) {
-        const type = lineTypes[i];
-        const code = highlightedLines[i];
-        const nums = lineNumbers[i];
+    for (const row of rows) {
+        const { selectable } = row;
+        const marker = commentMarker(commentedLines, row.old, row.new);
 
-        if (type === "add") {
-            html += `<tr class="diff-add-row">`;
-            html += `<td class="diff-line-num diff-line-num-old"></td>`;
-            html += `<td class="diff-line-num diff-line-num-new">${nums.new}</td>`;
-            html += `<td class="diff-line diff-add"><span class="add">+</span>${code}</td>`;
+        if (row.type === "add") {
+            html += `<tr class="diff-add-row${marker}">`;
+            html += lineNumCell("old", "", "RIGHT");
+            html += lineNumCell("new", row.new, "RIGHT", { selectable });
+            html += `<td class="diff-line diff-add"><span class="add">+</span>${row.code}</td>`;
             html += `</tr>`;
-        } else if (type === "remove") {
-            html += `<tr class="diff-remove-row">`;
-            html += `<td class="diff-line-num diff-line-num-old">${nums.old}</td>`;
-            html += `<td class="diff-line-num diff-line-num-new"></td>`;
-            html += `<td class="diff-line diff-remove"><span class="rem">-</span>${code}</td>`;
+        } else if (row.type === "remove") {
+            html += `<tr class="diff-remove-row${marker}">`;
+            html += lineNumCell("old", row.old, "LEFT", { selectable });
+            html += lineNumCell("new", "", "LEFT");
+            html += `<td class="diff-line diff-remove"><span class="rem">-</span>${row.code}</td>`;
             html += `</tr>`;
         } else {
-            html += `<tr class="diff-context-row">`;
-            html += `<td class="diff-line-num diff-line-num-old">${nums.old}</td>`;
-            html += `<td class="diff-line-num diff-line-num-new">${nums.new}</td>`;
-            html += `<td class="diff-line diff-context"><span> </span>${code}</td>`;
+            html += `<tr class="diff-context-row${marker}">`;
+            html += lineNumCell("old", row.old, "RIGHT", {
+                line: row.new,
+                selectable,
+            });
+            html += lineNumCell("new", row.new, "RIGHT", { selectable });
+            html += `<td class="diff-line diff-context"><span> </span>${row.code}</td>`;
+            html += `</tr>`;
+        }
+    }
+
+    html += "</table>";
+    return html;
+}
+
+/**
+ * Splits a line of code into word, whitespace and punctuation tokens
+ * @param {string} code - Raw line of code
+ * @returns {Array<string>} - Tokens that join back into the line
+ */
+function tokenizeLine(code) {
+    return code.match(/\w+|\s+|[^\w\s]/g) ?? [];
+}
+
+/**
+ * Finds the character ranges that differ between two lines, word by word
+ * @param {string} oldCode - Raw removed line
+ * @param {string} newCode - Raw added line
+ * @returns {{old: Array<{start: number, end: number}>, new: Array<{start: number, end: number}>}} - Changed ranges on each line
+ */
+function diffWords(oldCode, newCode) {
+    const ranges = { old: [], new: [] };
+    let oldOffset = 0;
+    let newOffset = 0;
+
+    for (const op of diffSequences(
+        tokenizeLine(oldCode),
+        tokenizeLine(newCode),
+    )) {
+        const length = op.value.length;
+
+        if (op.type === "delete") {
+            ranges.old.push({ start: oldOffset, end: oldOffset + length });
+        } else if (op.type === "insert") {
+            ranges.new.push({ start: newOffset, end: newOffset + length });
+        }
+
+        if (op.type !== "insert") oldOffset += length;
+        if (op.type !== "delete") newOffset += length;
+    }
+
+    return ranges;
+}
+
+/**
+ * Wraps character ranges of highlighted HTML in spans without breaking tags
+ * Offsets count text characters, with each HTML entity counting as one
+ * @param {string} html - Highlighted HTML for a single line
+ * @param {Array<{start: number, end: number}>} ranges - Sorted character ranges to wrap
+ * @param {string} className - Class of the wrapping spans
+ * @returns {string} - HTML with the ranges wrapped
+ */
+function wrapTextRanges(html, ranges, className) {
+    if (ranges.length === 0) return html;
+
+    let result = "";
+    let offset = 0;
+    let rangeIndex = 0;
+    let inRange = false;
+    let i = 0;
+
+    while (i < html.length) {
+        // Close the wrapper around tags so nesting stays valid
+        if (html[i] === "<") {
+            const tagEnd = html.indexOf(">", i) + 1;
+            if (inRange) {
+                result += "</span>";
+                inRange = false;
+            }
+            result += html.slice(i, tagEnd);
+            i = tagEnd;
+            continue;
+        }
+
+        let length = 1;
+        if (html[i] === "&") {
+            const entityEnd = html.indexOf(";", i);
+            if (entityEnd !== -1) length = entityEnd - i + 1;
+        }
+
+        while (rangeIndex < ranges.length && ranges[rangeIndex].end <= offset) {
+            rangeIndex++;
+        }
+        const inside =
+            rangeIndex < ranges.length && ranges[rangeIndex].start <= offset;
+
+        if (inside && !inRange) {
+            result += `<span class="${className}">`;
+            inRange = true;
+        } else if (!inside && inRange) {
+            result += "</span>";
+            inRange = false;
+        }
+
+        result += html.slice(i, i + length);
+        i += length;
+        offset++;
+    }
+
+    if (inRange) result += "</span>";
+    return result;
+}
+
+/**
+ * Renders one side of a split diff row
+ * @param {"old" | "new"} column - Side of the split table
+ * @param {Object|null} row - Parsed diff row, or null for an empty cell
+ * @param {string} code - HTML of the line
+ * @returns {string} - HTML table cells (line number and code)
+ */
+function splitCells(column, row, code) {
+    if (!row) {
+        return `<td class="diff-line-num diff-line-num-${column}"></td><td class="diff-line diff-empty"></td>`;
+    }
+
+    const side = column === "old" ? "LEFT" : "RIGHT";
+    const lineClass = {
+        add: "diff-add",
+        remove: "diff-remove",
+        context: "diff-context",
+    }[row.type];
+
+    return `${lineNumCell(column, row[column], side, { selectable: row.selectable })}<td class="diff-line ${lineClass}">${code}</td>`;
+}
+
+/**
+ * Renders diff rows as a split table: removed lines on the left, added lines
+ * on the right, with word-level highlighting of what changed between pairs
+ * @param {Array<Object>} rows - Parsed diff rows
+ * @param {Object} options - Table options
+ * @param {{old: Set<number>, new: Set<number>}} [options.commentedLines] - Line numbers to mark as commented
+ * @returns {string} - HTML string containing the diff table
+ */
+function renderSplitTable(rows, { commentedLines }) {
+    let html = '<table class="diff-table diff-split">';
+    let i = 0;
+
+    while (i < rows.length) {
+        if (rows[i].type === "context") {
+            const row = rows[i];
+            const marker = commentMarker(commentedLines, row.old, row.new);
+            html += `<tr class="diff-context-row${marker}">`;
+            html += splitCells("old", row, row.code);
+            html += splitCells("new", row, row.code);
+            html += `</tr>`;
+            i++;
+            continue;
+        }
+
+        // Pair a block of removed lines with the added lines that follow it
+        const removed = [];
+        const added = [];
+        while (i < rows.length && rows[i].type === "remove") {
+            removed.push(rows[i++]);
+        }
+        while (i < rows.length && rows[i].type === "add") {
+            added.push(rows[i++]);
+        }
+
+        for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+            const left = removed[j] ?? null;
+            const right = added[j] ?? null;
+            let leftCode = left?.code;
+            let rightCode = right?.code;
+
+            if (left && right) {
+                const ranges = diffWords(left.raw, right.raw);
+                leftCode = wrapTextRanges(
+                    leftCode,
+                    ranges.old,
+                    "diff-word-remove",
+                );
+                rightCode = wrapTextRanges(
+                    rightCode,
+                    ranges.new,
+                    "diff-word-add",
+                );
+            }
+
+            const marker = commentMarker(
+                commentedLines,
+                left?.old ?? "",
+                right?.new ?? "",
+            );
+            html += `<tr class="diff-change-row${marker}">`;
+            html += splitCells("old", left, leftCode);
+            html += splitCells("new", right, rightCode);
             html += `</tr>`;
         }
     }
@@ -2,7 +2,7 @@ import { panelComments } from "../state/state.svelte.js";
 
 /**
  * Updates the comment count for a specific panel
- * @param {number} panelIndex - Index of the panel (1, 2, or 3)
+ * @param {number} panelIndex - Id of the panel
  * @param {number} count - Comment count for that panel
  * @returns {void}
  */
@@ -12,7 +12,7 @@ export function updatePanelComments(panelIndex, count) {
 
 /**
  * Resets comment count for a specific panel to zero
- * @param {number} panelIndex - Index of the panel (1, 2, or 3)
+ * @param {number} panelIndex - Id of the panel
  * @returns {void}
  */
 export function resetPanelComments(panelIndex) {
@@ -20,13 +20,61 @@ export function resetPanelComments(panelIndex) {
 }
 
 /**
- * Parses a GitHub PR URL to extract owner, repo, and PR number
- * @param {string} url - Full GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)
- * @returns {Object|null} - Object with owner, repo, and number properties, or null if invalid
+ * Parses a GitHub PR URL to extract host, owner, repo, and PR number
+ * Any host is accepted, with a port, as an IP address or as a single label,
+ * so GitHub Enterprise Server URLs parse too; the server rejects hosts it
+ * isn't configured for. A missing scheme defaults to https, and only the
+ * path is matched, so query strings, fragments and pages below the PR
+ * (e.g. /files) are ignored
+ * @param {string} url - Full GitHub PR URL (e.g., https://github.com/owner/repo/pull/123
+ *   or https://ghe.example.com:8443/owner/repo/pull/5)
+ * @returns {Object|null} - Object with host, owner, repo, and number properties, or null if invalid
  */
 export function parseURL(url) {
-    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)\/pull\/(\d+)/);
-    return match ? { owner: match[1], repo: match[2], number: match[3] } : null;
+    const trimmed = url.trim();
+    let parsed;
+    try {
+        parsed = new URL(
+            /^[a-z][a-z\d+.-]*:\/\//i.test(trimmed)
+                ? trimmed
+                : `https://${trimmed}`,
+        );
+    } catch {
+        return null;
+    }
+
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+        return null;
+    }
+
+    const match = parsed.pathname.match(
+        /^\/([^\/]+)\/([^\/]+)\/pull\/(\d+)(?:\/|$)/,
+    );
+    if (!match) return null;
+
+    // www. is only an alias of github.com; Enterprise hosts are kept as typed
+    const host = parsed.host === "www.github.com" ? "github.com" : parsed.host;
+
+    return {
+        host,
+        owner: match[1],
+        repo: match[2],
+        number: match[3],
+    };
+}
+
+/**
+ * Builds a key identifying a PR however its URL was written
+ * Owner and repo names are case-insensitive on GitHub, so the key is lower case
+ * @param {string} url - GitHub PR URL
+ * @returns {string|null} - "host/owner/repo#number", or null if the URL is invalid
+ */
+export function prKey(url) {
+    const parsed = parseURL(url);
+    if (!parsed) return null;
+
+    const { host, owner, repo, number } = parsed;
+    return `${host}/${owner}/${repo}#${parseInt(number, 10)}`.toLowerCase();
 }
 
 /**
@@ -91,6 +139,30 @@ export async function copyToClipboard(text) {
     }
 }
 
+// ============================================================================
+// Download Utilities
+// ============================================================================
+
+/**
+ * Saves text as a file through the browser's download prompt
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type of the content
+ * @returns {void}
+ */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke once the click has handed the blob to the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // ============================================================================
 // UI Icon Utilities
 // ============================================================================
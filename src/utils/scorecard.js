@@ -0,0 +1,146 @@
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Review states that stand until the reviewer submits another one of these
+ * Plain comments don't replace an approval or a change request
+ */
+const DECISIVE_STATES = ["APPROVED", "CHANGES_REQUESTED", "DISMISSED"];
+
+/**
+ * Metrics compared across PRs, with which direction is better
+ * Metrics without a direction are shown but never pick a winner
+ */
+export const SCORECARD_METRICS = [
+    { id: "approvals", label: "Approvals", better: "higher" },
+    { id: "changesRequested", label: "Changes requested", better: "lower" },
+    { id: "reviewers", label: "Reviewers", better: "higher" },
+    { id: "coverage", label: "Files reviewed", better: "higher" },
+    { id: "comments", label: "Comments", better: null },
+];
+
+// ============================================================================
+// Scorecards
+// ============================================================================
+
+/**
+ * Finds each reviewer's standing review state
+ * @param {Array<Object>} reviews - Reviews in submission order
+ * @returns {Map<string, string>} - Reviewer login to state
+ */
+function latestReviewStates(reviews) {
+    const states = new Map();
+
+    for (const review of reviews) {
+        const login = review.user?.login;
+        if (!login || review.state === "PENDING") continue;
+
+        if (DECISIVE_STATES.includes(review.state) || !states.has(login)) {
+            states.set(login, review.state);
+        }
+    }
+
+    return states;
+}
+
+/**
+ * Summarizes how a PR was reviewed
+ * @param {{pr: Object, comments: Array, reviewComments: Array, reviews: Array, files: Array}} data - Loaded PR data
+ * @param {(body: string) => Array<{id: string}>} classify - Returns the categories of a comment body
+ * @returns {{comments: number, categories: Object<string, number>, approvals: number, changesRequested: number, reviewers: number, participants: Array<string>, commentedFiles: number, changedFiles: number, coverage: number}} -
+ *   Counts per category id, review decisions by reviewer, the people who reviewed
+ *   or commented (excluding the author) and the share of changed files with review comments
+ */
+export function computeScorecard(data, classify) {
+    const author = data.pr?.user?.login;
+    const bodies = [
+        ...data.comments,
+        ...data.reviewComments,
+        ...data.reviews,
+    ].filter((item) => item.body);
+
+    const categories = {};
+    for (const item of bodies) {
+        for (const category of classify(item.body)) {
+            categories[category.id] = (categories[category.id] ?? 0) + 1;
+        }
+    }
+
+    const states = [...latestReviewStates(data.reviews).values()];
+
+    const participants = [
+        ...new Set(
+            [...data.comments, ...data.reviewComments, ...data.reviews]
+                .map((item) => item.user?.login)
+                .filter((login) => login && login !== author),
+        ),
+    ].sort();
+
+    const changedFiles = data.files.length;
+    const changedPaths = new Set(data.files.map((file) => file.filename));
+    const commentedFiles = new Set(
+        data.reviewComments
+            .map((comment) => comment.path)
+            .filter((path) => changedPaths.has(path)),
+    ).size;
+
+    return {
+        comments: bodies.length,
+        categories,
+        approvals: states.filter((state) => state === "APPROVED").length,
+        changesRequested: states.filter(
+            (state) => state === "CHANGES_REQUESTED",
+        ).length,
+        reviewers: participants.length,
+        participants,
+        commentedFiles,
+        changedFiles,
+        coverage: changedFiles ? commentedFiles / changedFiles : 0,
+    };
+}
+
+/**
+ * Ranks scorecards against each other
+ * Every metric with a direction is won by the PRs with the best value
+ * (nobody wins it if all values are equal); the PRs winning the most
+ * metrics are the winners
+ * @param {Array<{id: number, scorecard: Object}>} entries - Scorecards of the PRs to compare
+ * @returns {{best: Object<string, Array<number>>, wins: Object<number, number>, winners: Array<number>}} -
+ *   Ids of the best PRs per metric id, metrics won per PR id, and the ids of the overall winners
+ */
+export function rankScorecards(entries) {
+    const best = {};
+    const wins = Object.fromEntries(entries.map((entry) => [entry.id, 0]));
+
+    if (entries.length < 2) {
+        return { best, wins, winners: [] };
+    }
+
+    for (const metric of SCORECARD_METRICS) {
+        if (!metric.better) continue;
+
+        const values = entries.map((entry) => entry.scorecard[metric.id]);
+        const target =
+            metric.better === "higher"
+                ? Math.max(...values)
+                : Math.min(...values);
+
+        if (values.every((value) => value === target)) continue;
+
+        best[metric.id] = entries
+            .filter((entry) => entry.scorecard[metric.id] === target)
+            .map((entry) => entry.id);
+        for (const id of best[metric.id]) wins[id]++;
+    }
+
+    const mostWins = Math.max(...Object.values(wins));
+    const winners =
+        mostWins > 0
+            ? entries
+                  .filter((entry) => wins[entry.id] === mostWins)
+                  .map((entry) => entry.id)
+            : [];
+
+    return { best, wins, winners };
+}
@@ -0,0 +1,140 @@
+// ============================================================================
+// Incremental Updates
+// ============================================================================
+
+/**
+ * Checks whether two versions of a comment or review have the same content
+ * @param {Object} a - Known version
+ * @param {Object} b - Fetched version
+ * @returns {boolean} - True if nothing visible changed
+ */
+function isSameVersion(a, b) {
+    return (
+        a.updated_at === b.updated_at &&
+        a.body === b.body &&
+        a.state === b.state
+    );
+}
+
+/**
+ * Merges fetched comments into a known list by id
+ * Unchanged comments keep their object identity so keyed lists don't
+ * re-render them; changed ones are replaced and new ones appended
+ * @param {Array<Object>} existing - Comments already shown
+ * @param {Array<Object>} updates - Comments fetched since the last sync
+ * @param {Object} options - Merge options
+ * @param {boolean} options.markNew - If true, added comments are flagged with isNew
+ * @param {boolean} options.complete - If true, updates is the full list and missing comments are dropped
+ * @returns {{comments: Array<Object>, added: number, changed: number}} - Merged list and what changed
+ */
+export function mergeComments(
+    existing,
+    updates,
+    { markNew = true, complete = false } = {},
+) {
+    const updatesById = new Map(updates.map((item) => [item.id, item]));
+    const knownIds = new Set(existing.map((item) => item.id));
+    let changed = 0;
+
+    const merged = [];
+    for (const item of existing) {
+        const update = updatesById.get(item.id);
+
+        if (!update) {
+            if (!complete) merged.push(item);
+        } else if (isSameVersion(item, update)) {
+            merged.push(item);
+        } else {
+            merged.push({ ...update, isNew: Boolean(item.isNew) });
+            changed++;
+        }
+    }
+
+    const added = updates
+        .filter((item) => !knownIds.has(item.id))
+        .map((item) => ({ ...item, isNew: markNew }));
+
+    return { comments: [...merged, ...added], added: added.length, changed };
+}
+
+/**
+ * Applies a response of the PR updates endpoint to loaded PR data
+ * Deleted comments never show up in updates, so the merged lists are checked
+ * against the counts on the PR; a mismatch means a full reload is needed
+ * @param {Object} data - Loaded PR data ({pr, comments, reviewComments, reviews, files, syncedAt})
+ * @param {Object} updates - Updates response ({pr, comments, reviewComments, reviews, files, syncedAt})
+ * @param {Object} options - Merge options
+ * @param {boolean} options.markNew - If true, added comments are flagged with isNew
+ * @returns {{data: Object, added: number, changed: number, complete: boolean}} - Merged data, what changed and whether it matches the PR counts
+ */
+export function applyPRUpdates(data, updates, { markNew = true } = {}) {
+    const comments = mergeComments(data.comments, updates.comments, {
+        markNew,
+    });
+    const reviewComments = mergeComments(
+        data.reviewComments,
+        updates.reviewComments,
+        { markNew },
+    );
+    const reviews = mergeComments(data.reviews, updates.reviews, {
+        markNew,
+        complete: true,
+    });
+
+    return {
+        data: {
+            ...data,
+            pr: updates.pr,
+            comments: comments.comments,
+            reviewComments: reviewComments.comments,
+            reviews: reviews.comments,
+            files: updates.files ?? data.files,
+            syncedAt: updates.syncedAt,
+        },
+        added: comments.added + reviewComments.added + reviews.added,
+        changed: comments.changed + reviewComments.changed + reviews.changed,
+        complete:
+            comments.comments.length === updates.pr.comments &&
+            reviewComments.comments.length === updates.pr.review_comments,
+    };
+}
+
+/**
+ * Applies a single comment or review change pushed from a webhook delivery
+ * @param {Object} data - Loaded PR data
+ * @param {Object} change - { kind, action, item } where kind is "comments", "reviewComments" or "reviews"
+ * @param {Object} options - Merge options
+ * @param {boolean} options.markNew - If true, an added comment is flagged with isNew
+ * @param {(id: number) => boolean} options.keepDeleted - Returns true for deleted comments to leave in place for now
+ * @returns {Object} - Updated PR data
+ */
+export function applyChange(
+    data,
+    change,
+    { markNew = true, keepDeleted = () => false } = {},
+) {
+    const list = data[change.kind];
+    if (!Array.isArray(list)) return data;
+
+    if (change.action === "deleted" && keepDeleted(change.item.id)) {
+        return data;
+    }
+
+    const next =
+        change.action === "deleted"
+            ? list.filter((item) => item.id !== change.item.id)
+            : mergeComments(list, [change.item], { markNew }).comments;
+
+    return { ...data, [change.kind]: next };
+}
+
+/**
+ * Counts comments and reviews flagged as new since the last view
+ * @param {Object} data - Loaded PR data
+ * @returns {number} - Number of flagged items
+ */
+export function countNew(data) {
+    return [...data.comments, ...data.reviewComments, ...data.reviews].filter(
+        (item) => item.isNew,
+    ).length;
+}
@@ -0,0 +1,79 @@
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Sections of a panel whose expanded state is part of the workspace
+ */
+export const WORKSPACE_SECTIONS = ["general", "review", "summary", "files"];
+
+const PR_PARAM = "pr";
+const OPEN_PARAM = "open";
+
+// ============================================================================
+// Workspace Encoding
+// ============================================================================
+
+/**
+ * Creates the default section state with every section expanded
+ * @returns {Object} - Object with section names as keys and true as values
+ */
+export function defaultSections() {
+    return Object.fromEntries(WORKSPACE_SECTIONS.map((name) => [name, true]));
+}
+
+/**
+ * Encodes the loaded PR set into a URL hash string (without the leading #)
+ * Every panel is written as a `pr` param followed by an `open` param listing
+ * its expanded sections, so panels keep their order and empty panels survive
+ * @param {Array<{url: string, sections: Object}>} entries - Workspace entries in panel order
+ * @returns {string} - Encoded hash, or empty string if no panel has a loaded PR
+ */
+export function encodeWorkspace(entries) {
+    if (!Array.isArray(entries) || !entries.some((entry) => entry?.url)) {
+        return "";
+    }
+
+    const params = new URLSearchParams();
+
+    for (const entry of entries) {
+        const sections = { ...defaultSections(), ...entry?.sections };
+        params.append(PR_PARAM, entry?.url || "");
+        params.append(
+            OPEN_PARAM,
+            WORKSPACE_SECTIONS.filter((name) => sections[name]).join(","),
+        );
+    }
+
+    return params.toString();
+}
+
+/**
+ * Decodes a URL hash produced by encodeWorkspace
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {Array<{url: string, sections: Object}>} - Workspace entries in panel order (empty if none)
+ */
+export function decodeWorkspace(hash) {
+    if (!hash || typeof hash !== "string") {
+        return [];
+    }
+
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const urls = params.getAll(PR_PARAM);
+    const open = params.getAll(OPEN_PARAM);
+
+    return urls.map((url, i) => {
+        // Missing open param means the link predates section state: expand all
+        if (open[i] === undefined) {
+            return { url: url.trim(), sections: defaultSections() };
+        }
+
+        const expanded = new Set(open[i].split(","));
+        return {
+            url: url.trim(),
+            sections: Object.fromEntries(
+                WORKSPACE_SECTIONS.map((name) => [name, expanded.has(name)]),
+            ),
+        };
+    });
+}
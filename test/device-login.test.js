@@ -0,0 +1,226 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    runServerUntilExit,
+    startServer,
+    startStub,
+} from "./helpers/server.js";
+
+const CLIENT_ID = "device-test-client";
+const ACCESS_TOKEN = "gho_devicetesttoken";
+
+/**
+ * Answers of the stub's access token endpoint, one per poll; the last one
+ * repeats
+ * @type {Array<Object>}
+ */
+let tokenAnswers = [];
+
+/**
+ * Answers of the stub's user endpoint, one per request; the last one repeats
+ * @type {Array<Object>}
+ */
+let userAnswers = [];
+
+const USER = { login: "octocat", name: "The Octocat", avatar_url: "" };
+const SCOPES = { "X-OAuth-Scopes": "repo, read:org" };
+
+let stub;
+let server;
+
+/**
+ * Takes the next answer of a list, repeating the last one
+ * @param {Array<*>} answers - Remaining answers
+ * @returns {*} - Answer
+ */
+function next(answers) {
+    return answers.length > 1 ? answers.shift() : answers[0];
+}
+
+/**
+ * Sends a JSON request to the test server
+ * @param {string} path - API path
+ * @param {Object} body - Request body
+ * @param {string} [cookie] - Session cookie to send
+ * @returns {Promise<Response>} - Server response
+ */
+function post(path, body, cookie) {
+    return fetch(`${server.baseUrl}${path}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...(cookie ? { Cookie: cookie } : {}),
+        },
+        body: JSON.stringify(body),
+    });
+}
+
+/**
+ * Starts a device login and polls it until it's no longer pending
+ * @returns {Promise<Response>} - Last poll response
+ */
+async function completeDeviceLogin() {
+    const start = await post("/api/auth/device/code", {});
+    assert.equal(start.status, 200);
+    const { loginId } = await start.json();
+
+    for (;;) {
+        const res = await post("/api/auth/device/poll", { loginId });
+        if (res.status !== 200) return res;
+
+        const result = await res.clone().json();
+        if (result.status !== "pending") return res;
+    }
+}
+
+before(async () => {
+    stub = await startStub({
+        "POST /login/device/code": (body) => {
+            assert.equal(body.client_id, CLIENT_ID);
+            return {
+                device_code: "device-code",
+                user_code: "ABCD-1234",
+                verification_uri: "https://github.com/login/device",
+                expires_in: 900,
+                interval: 0,
+            };
+        },
+        "POST /login/oauth/access_token": () => next(tokenAnswers),
+        "GET /api/v3/user": () => next(userAnswers),
+        "GET /api/v3/repos/owner/repo/contents/README.md": () => "# Readme\n",
+    });
+    server = await startServer({
+        GITHUB_OAUTH_CLIENT_ID: CLIENT_ID,
+        GITHUB_OAUTH_BASE_URL: stub.url,
+        GITHUB_OAUTH_HOST: "github.com",
+    });
+});
+
+after(async () => {
+    server?.stop();
+    await stub?.close();
+});
+
+beforeEach(() => {
+    stub.requests.length = 0;
+    userAnswers = [[200, USER, SCOPES]];
+});
+
+describe("OAuth device login", () => {
+    test("offers device login for the configured host", async () => {
+        const res = await fetch(`${server.baseUrl}/api/auth/session`);
+        assert.equal((await res.json()).deviceFlow, "github.com");
+    });
+
+    test("signs in once the login is approved", async () => {
+        tokenAnswers = [
+            { error: "authorization_pending" },
+            { access_token: ACCESS_TOKEN, token_type: "bearer" },
+        ];
+
+        const res = await completeDeviceLogin();
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("set-cookie"), /HttpOnly/i);
+
+        const session = await res.json();
+        assert.equal(session.status, "complete");
+        assert.equal(session.user.login, "octocat");
+        assert.equal(session.credentials.length, 1);
+        assert.equal(session.credentials[0].host, "github.com");
+        assert.equal(JSON.stringify(session).includes(ACCESS_TOKEN), false);
+
+        const verified = stub.requests.find(
+            (r) => r.route === "GET /api/v3/user",
+        );
+        assert.equal(verified.headers.authorization, `token ${ACCESS_TOKEN}`);
+    });
+
+    test("keeps the token when verifying it fails", async () => {
+        tokenAnswers = [
+            { access_token: ACCESS_TOKEN, token_type: "bearer" },
+            { error: "expired_token" },
+        ];
+        userAnswers = [
+            [500, { message: "Server Error" }],
+            [200, USER, SCOPES],
+        ];
+
+        const start = await post("/api/auth/device/code", {});
+        const { loginId } = await start.json();
+
+        const failed = await post("/api/auth/device/poll", { loginId });
+        assert.notEqual(failed.status, 200);
+
+        const retried = await post("/api/auth/device/poll", { loginId });
+        assert.equal(retried.status, 200);
+        assert.equal((await retried.json()).status, "complete");
+
+        // The token was asked for once and reused for the second check
+        assert.equal(
+            stub.requests.filter(
+                (r) => r.route === "POST /login/oauth/access_token",
+            ).length,
+            1,
+        );
+    });
+
+    test("keeps using the API the login was verified against", async () => {
+        tokenAnswers = [{ access_token: ACCESS_TOKEN, token_type: "bearer" }];
+        const login = await completeDeviceLogin();
+        const cookie = login.headers.get("set-cookie").split(";")[0];
+
+        const verify = await fetch(`${server.baseUrl}/api/auth/verify`, {
+            headers: { Cookie: cookie },
+        });
+        assert.equal(verify.status, 200);
+        const session = await verify.json();
+        assert.equal(session.credentials[0].invalid, false);
+        assert.equal(
+            stub.requests.filter((r) => r.route === "GET /api/v3/user").length,
+            2,
+        );
+
+        const content = await post(
+            "/api/content/owner/repo",
+            { path: "README.md", ref: "main", host: "github.com" },
+            cookie,
+        );
+        assert.equal(content.status, 200);
+        assert.equal((await content.json()).content, "# Readme\n");
+    });
+
+    test("reports a login cancelled on GitHub", async () => {
+        tokenAnswers = [{ error: "access_denied" }];
+
+        const res = await completeDeviceLogin();
+        assert.equal(res.status, 403);
+    });
+});
+
+describe("OAuth configuration", () => {
+    test("refuses to start when the OAuth base URL isn't a known host", async () => {
+        const { code, output } = await runServerUntilExit({
+            GITHUB_OAUTH_CLIENT_ID: CLIENT_ID,
+            GITHUB_OAUTH_BASE_URL: "https://ghe.example.com",
+            GITHUB_OAUTH_HOST: "",
+            GITHUB_ENTERPRISE_HOSTS: "",
+        });
+        assert.equal(code, 1);
+        assert.match(output, /GITHUB_OAUTH_HOST/);
+    });
+
+    test("accepts an OAuth base URL of a configured Enterprise host", async () => {
+        const enterprise = await startServer({
+            GITHUB_OAUTH_CLIENT_ID: CLIENT_ID,
+            GITHUB_OAUTH_BASE_URL: "https://ghe.example.com",
+            GITHUB_OAUTH_HOST: "",
+            GITHUB_ENTERPRISE_HOSTS: "ghe.example.com",
+        });
+        try {
+            const res = await fetch(`${enterprise.baseUrl}/api/auth/session`);
+            assert.equal((await res.json()).deviceFlow, "ghe.example.com");
+        } finally {
+            enterprise.stop();
+        }
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CSV_COLUMNS, toCSV, toMarkdown } from "../src/utils/export.js";
+
+/**
+ * Builds a loaded panel as the export functions receive it
+ * @param {number} position - Panel position
+ * @param {number} number - PR number
+ * @param {Object} lists - Comments, review comments and reviews of the PR
+ * @returns {Object} - Panel entry
+ */
+function panel(position, number, lists = {}) {
+    return {
+        position,
+        url: `https://github.com/owner/repo/pull/${number}`,
+        pr: {
+            number,
+            title: `Change ${number}`,
+            user: { login: "author" },
+            state: "open",
+            html_url: `https://github.com/owner/repo/pull/${number}`,
+            changed_files: 120,
+            additions: 10,
+            deletions: 2,
+        },
+        files: [{ filename: "a.js" }],
+        comments: [],
+        reviewComments: [],
+        reviews: [],
+        ...lists,
+    };
+}
+
+/**
+ * Builds a general comment
+ * @param {number} id - Comment id
+ * @param {string} body - Comment body
+ * @returns {Object} - Issue comment
+ */
+function comment(id, body) {
+    return {
+        id,
+        body,
+        user: { login: "reviewer" },
+        created_at: "2024-05-01T12:00:00Z",
+        html_url: `https://github.com/owner/repo/pull/1#issuecomment-${id}`,
+    };
+}
+
+/**
+ * Parses the cells of the first data row of a CSV export
+ * @param {string} csv - CSV document
+ * @returns {Object} - Cells keyed by column
+ */
+function firstRow(csv) {
+    const row = csv.split("\r\n")[1];
+    const cells = [];
+    const cellPattern = /("(?:[^"]|"")*"|[^,]*)(?:,|$)/g;
+    for (const [, cell] of row.matchAll(cellPattern)) {
+        cells.push(
+            cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell,
+        );
+        if (cells.length === CSV_COLUMNS.length) break;
+    }
+    return Object.fromEntries(CSV_COLUMNS.map((name, i) => [name, cells[i]]));
+}
+
+describe("toCSV", () => {
+    test("starts with the header row", () => {
+        assert.equal(toCSV([]), `${CSV_COLUMNS.join(",")}\r\n`);
+    });
+
+    test("quotes cells with commas, quotes and line breaks", () => {
+        const csv = toCSV([
+            panel(1, 7, {
+                comments: [comment(1, 'Use "const", not let\nin both places')],
+            }),
+        ]);
+
+        assert.match(csv, /,"Use ""const"", not let\nin both places"\r\n$/);
+        assert.equal(
+            firstRow(csv).body,
+            'Use "const", not let\nin both places',
+        );
+    });
+
+    test("escapes cells spreadsheets would run as formulas", () => {
+        for (const prefix of ["=", "+", "-", "@"]) {
+            const body = `${prefix}SUM(A1:A2)`;
+            const csv = toCSV([panel(1, 7, { comments: [comment(1, body)] })]);
+            assert.equal(firstRow(csv).body, `'${body}`, prefix);
+        }
+    });
+
+    test("leaves ordinary cells as they are", () => {
+        const csv = toCSV([panel(2, 7, { comments: [comment(5, "LGTM")] })]);
+        const row = firstRow(csv);
+        assert.equal(row.panel, "2");
+        assert.equal(row.pr_number, "7");
+        assert.equal(row.type, "general");
+        assert.equal(row.body, "LGTM");
+    });
+});
+
+describe("toMarkdown", () => {
+    const now = new Date("2024-05-02T00:00:00Z");
+
+    test("groups comments under a section per PR", () => {
+        const markdown = toMarkdown(
+            [
+                panel(1, 7, { comments: [comment(1, "First PR")] }),
+                panel(2, 9, { comments: [comment(2, "Second PR")] }),
+            ],
+            { now },
+        );
+
+        const sections = markdown.split(/^## /m).slice(1);
+        assert.equal(sections.length, 2);
+        assert.match(sections[0], /^PR #7: Change 7\n/);
+        assert.match(sections[0], /- Panel: 1\n/);
+        assert.match(sections[0], /> First PR/);
+        assert.doesNotMatch(sections[0], /Second PR/);
+        assert.match(sections[1], /^PR #9: Change 9\n/);
+        assert.match(sections[1], /- Panel: 2\n/);
+        assert.match(sections[1], /> Second PR/);
+    });
+
+    test("counts changed files from the PR, not the capped file list", () => {
+        const markdown = toMarkdown([panel(1, 7)], { now });
+        assert.match(markdown, /- Changes: 120 files, \+10 -2/);
+    });
+
+    test("groups review comments by file", () => {
+        const markdown = toMarkdown(
+            [
+                panel(1, 7, {
+                    reviewComments: [
+                        { ...comment(3, "On b"), path: "b.js", line: 4 },
+                        { ...comment(4, "On a"), path: "a.js", line: 2 },
+                    ],
+                }),
+            ],
+            { now },
+        );
+
+        const a = markdown.indexOf("#### `a.js`");
+        const b = markdown.indexOf("#### `b.js`");
+        assert.ok(a !== -1 && b !== -1 && a < b);
+        assert.ok(markdown.indexOf("On a") > a);
+        assert.ok(markdown.indexOf("On b") > b);
+    });
+});
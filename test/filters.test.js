@@ -0,0 +1,105 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    EMPTY_FILTER,
+    createCommentFilter,
+    highlightMatches,
+} from "../src/utils/filters.js";
+
+/**
+ * Formats a local date as a date input does
+ * @param {Date} date - Local date
+ * @returns {string} - Day as YYYY-MM-DD
+ */
+function day(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+describe("highlightMatches", () => {
+    test("marks matches in text and leaves markup alone", () => {
+        assert.equal(
+            highlightMatches('<p class="note">Use a note</p>', "note"),
+            '<p class="note">Use a <mark class="search-match">note</mark></p>',
+        );
+    });
+
+    test("matches characters the renderer escaped", () => {
+        assert.equal(
+            highlightMatches("<p>a &lt; b &amp;&amp; c</p>", "< b &&"),
+            '<p>a <mark class="search-match">&lt; b &amp;&amp;</mark> c</p>',
+        );
+    });
+
+    test("doesn't match into character references", () => {
+        const html = "<p>&quot;x&quot; &amp; &#39;y&#39;</p>";
+        for (const query of ["amp", "quot", "39", "&#"]) {
+            assert.equal(
+                highlightMatches(html, query),
+                "<p>&quot;x&quot; &amp; 'y'</p>",
+                query,
+            );
+        }
+    });
+
+    test("leaves references it doesn't know as they are", () => {
+        assert.equal(
+            highlightMatches("<p>&copy; copy</p>", "copy"),
+            '<p>&copy; <mark class="search-match">copy</mark></p>',
+        );
+    });
+
+    test("returns the HTML unchanged without a query", () => {
+        assert.equal(
+            highlightMatches("<p>a &amp; b</p>", "  "),
+            "<p>a &amp; b</p>",
+        );
+    });
+});
+
+describe("createCommentFilter", () => {
+    /**
+     * Creates a filter for a range of days
+     * @param {string} from - First day
+     * @param {string} to - Last day
+     * @returns {(item: Object, type: string) => boolean} - Filter predicate
+     */
+    const between = (from, to) =>
+        createCommentFilter({ ...EMPTY_FILTER, from, to });
+
+    test("includes the whole last day of a range", () => {
+        const start = new Date(2024, 4, 1);
+        const matches = between(day(start), day(start));
+        const lastMinute = new Date(2024, 4, 1, 23, 59);
+
+        assert.equal(matches({ created_at: start.toISOString() }), true);
+        assert.equal(matches({ created_at: lastMinute.toISOString() }), true);
+        assert.equal(
+            matches({ created_at: new Date(2024, 4, 2).toISOString() }),
+            false,
+        );
+    });
+
+    test("ends the last day at local midnight in any month", () => {
+        // Covers the daylight saving changes of whichever zone the tests run in
+        for (let month = 0; month < 12; month++) {
+            for (let date = 1; date <= 31; date++) {
+                const last = new Date(2024, month, date);
+                if (last.getMonth() !== month) break;
+
+                const next = new Date(2024, month, date + 1);
+                const matches = between(day(last), day(last));
+                const before = new Date(next.getTime() - 1);
+
+                assert.equal(
+                    matches({ created_at: before.toISOString() }),
+                    true,
+                );
+                assert.equal(
+                    matches({ created_at: next.toISOString() }),
+                    false,
+                );
+            }
+        }
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { expandPatchContext } from "../src/utils/diff.js";
+import { buildThreads, formatDiffForTable } from "../src/utils/formatters.js";
+
+/**
+ * Builds a review comment
+ * @param {number} id - Comment id
+ * @param {number} [inReplyTo] - Id of the comment it replies to
+ * @param {string} [createdAt] - Creation time
+ * @returns {Object} - Review comment
+ */
+function reviewComment(id, inReplyTo, createdAt = "2024-01-01T00:00:00Z") {
+    return {
+        id,
+        in_reply_to_id: inReplyTo,
+        created_at: createdAt,
+        line: 10,
+        original_line: 10,
+    };
+}
+
+describe("buildThreads", () => {
+    test("nests replies under their root, oldest first", () => {
+        const root = reviewComment(1);
+        const late = reviewComment(3, 1, "2024-01-03T00:00:00Z");
+        const early = reviewComment(2, 1, "2024-01-02T00:00:00Z");
+
+        const threads = buildThreads([root, late, early]);
+        assert.equal(threads.length, 1);
+        assert.equal(threads[0].root, root);
+        assert.deepEqual(threads[0].replies, [early, late]);
+    });
+
+    test("starts a thread at a reply whose root was filtered out", () => {
+        const replies = [
+            reviewComment(2, 1, "2024-01-02T00:00:00Z"),
+            reviewComment(3, 1, "2024-01-03T00:00:00Z"),
+        ];
+
+        const threads = buildThreads(replies);
+        assert.equal(threads.length, 2);
+        // Replies keep pointing at the filtered root, where replies go
+        assert.deepEqual(
+            threads.map((thread) => thread.root.in_reply_to_id),
+            [1, 1],
+        );
+        assert.deepEqual(threads[0].replies, []);
+    });
+
+    test("flags outdated and resolved threads", () => {
+        const outdated = { ...reviewComment(1), line: null };
+        const [thread] = buildThreads([outdated], [1]);
+        assert.equal(thread.outdated, true);
+        assert.equal(thread.resolved, true);
+    });
+});
+
+describe("formatDiffForTable", () => {
+    const fileLines = ["one", "two", "three", "FOUR", "five", "six"];
+    const patch = "@@ -3,3 +3,3 @@\n three\n-four\n+FOUR\n five";
+
+    /**
+     * Lists the lines offered for a comment in rendered diff HTML
+     * @param {string} html - Rendered diff table
+     * @returns {Array<string>} - Button labels
+     */
+    function selectableLines(html) {
+        return [...html.matchAll(/aria-label="([^"]+)"/g)].map(
+            ([, label]) => label,
+        );
+    }
+
+    test("offers every line of the hunk for a comment", () => {
+        const html = formatDiffForTable(patch, { selectable: true });
+        assert.deepEqual(selectableLines(html).sort(), [
+            "Comment on line 3",
+            "Comment on line 3",
+            "Comment on line 4",
+            "Comment on line 5",
+            "Comment on line 5",
+            "Comment on removed line 4",
+        ]);
+    });
+
+    for (const mode of ["unified", "split"]) {
+        test(`doesn't offer revealed context lines in ${mode} mode`, () => {
+            const expanded = expandPatchContext(patch, fileLines, {
+                above: 2,
+                below: 1,
+            });
+            assert.deepEqual([...expanded.revealed].sort(), [1, 2, 6]);
+
+            const html = formatDiffForTable(expanded.patch, {
+                mode,
+                selectable: true,
+                revealedLines: expanded.revealed,
+            });
+            const labels = selectableLines(html);
+            assert.ok(labels.includes("Comment on line 3"));
+            for (const line of [1, 2, 6]) {
+                assert.ok(!labels.includes(`Comment on line ${line}`), line);
+                assert.match(html, new RegExp(`data-line="${line}"`));
+            }
+        });
+    }
+});
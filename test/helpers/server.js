@@ -0,0 +1,149 @@
+import { spawn } from "node:child_process";
+import { createServer as createHttpServer } from "node:http";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("../..", import.meta.url));
+
+/**
+ * Finds a port nothing listens on
+ * @returns {Promise<number>} - Free port
+ */
+export function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.on("error", reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Spawns server.js on a free port with extra environment variables
+ * @param {Object} env - Environment variables on top of the current ones
+ * @returns {Promise<{baseUrl: string, stop: () => void}>} - Server URL and a function stopping it
+ * @throws {Error} - If the server exits before it started
+ */
+export async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, ["server.js"], {
+        cwd: ROOT,
+        env: { ...process.env, PORT: String(port), NODE_ENV: "test", ...env },
+        stdio: ["ignore", "pipe", "inherit"],
+    });
+
+    await new Promise((resolve, reject) => {
+        child.on("exit", (code) =>
+            reject(new Error(`Server exited with code ${code}`)),
+        );
+        child.stdout.on("data", (chunk) => {
+            if (chunk.toString().includes("Server started")) resolve();
+        });
+    });
+
+    return {
+        baseUrl: `http://localhost:${port}`,
+        stop: () => child.kill(),
+    };
+}
+
+/**
+ * Runs server.js until it exits by itself, as it does on bad configuration
+ * @param {Object} env - Environment variables on top of the current ones
+ * @returns {Promise<{code: number, output: string}>} - Exit code and what it logged
+ */
+export function runServerUntilExit(env = {}) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, ["server.js"], {
+            cwd: ROOT,
+            env: { ...process.env, PORT: "0", NODE_ENV: "test", ...env },
+            stdio: ["ignore", "pipe", "pipe"],
+        });
+
+        let output = "";
+        child.stdout.on("data", (chunk) => {
+            output += chunk;
+            // Started after all: don't leave it running
+            if (output.includes("Server started")) child.kill();
+        });
+        child.on("exit", (code) => resolve({ code, output }));
+    });
+}
+
+/**
+ * Starts a stand-in for GitHub's OAuth and REST endpoints
+ * Routes map "METHOD /path" to a handler returning the JSON body to answer
+ * with, or [status, body, headers]; requests are recorded in `requests`
+ * @param {Object<string, (body: Object, req: Object) => *>} routes - Handlers by route
+ * @returns {Promise<{url: string, requests: Array<{route: string, body: Object, headers: Object}>, close: () => Promise<void>}>} - Stub server
+ */
+export async function startStub(routes) {
+    const requests = [];
+    const server = createHttpServer((req, res) => {
+        let raw = "";
+        req.on("data", (chunk) => (raw += chunk));
+        req.on("end", () => {
+            const route = `${req.method} ${req.url.split("?")[0]}`;
+            let body = {};
+            try {
+                body = raw ? JSON.parse(raw) : {};
+            } catch {
+                body = Object.fromEntries(new URLSearchParams(raw));
+            }
+            requests.push({ route, body, headers: req.headers });
+
+            const handler = routes[route];
+            const result = handler
+                ? handler(body, req)
+                : [404, { message: "Not Found" }];
+            const [status, json, headers] = Array.isArray(result)
+                ? result
+                : [200, result];
+
+            res.writeHead(status, {
+                "Content-Type": "application/json",
+                ...headers,
+            });
+            res.end(JSON.stringify(json));
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/**
+ * Signs in through the device login of a server whose OAuth base URL is a
+ * stub answering the device code and access token requests
+ * @param {string} baseUrl - Test server URL
+ * @returns {Promise<string>} - Session cookie to send with later requests
+ * @throws {Error} - If the login doesn't complete
+ */
+export async function signIn(baseUrl) {
+    const request = (path, body) =>
+        fetch(`${baseUrl}${path}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+        });
+
+    const { loginId } = await (
+        await request("/api/auth/device/code", {})
+    ).json();
+
+    for (;;) {
+        const res = await request("/api/auth/device/poll", { loginId });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error);
+        if (result.status === "complete") {
+            return res.headers.get("set-cookie").split(";")[0];
+        }
+    }
+}
@@ -0,0 +1,70 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { applyChange } from "../src/utils/updates.js";
+
+/**
+ * Reads a recorded webhook payload
+ * @param {string} name - Fixture name without extension
+ * @returns {Object} - Parsed payload
+ */
+function fixture(name) {
+    return JSON.parse(
+        readFileSync(
+            new URL(`fixtures/webhooks/${name}.json`, import.meta.url),
+            "utf8",
+        ),
+    );
+}
+
+/**
+ * Builds loaded PR data holding one review comment
+ * @param {Object} comment - Review comment
+ * @returns {Object} - PR data
+ */
+function loadedData(comment) {
+    return { comments: [], reviewComments: [comment], reviews: [] };
+}
+
+describe("applyChange", () => {
+    const created = fixture("pull_request_review_comment.created").comment;
+    const deleted = fixture("pull_request_review_comment.deleted").comment;
+
+    test("adds a pushed comment flagged as new", () => {
+        const data = applyChange(
+            { comments: [], reviewComments: [], reviews: [] },
+            { kind: "reviewComments", action: "created", item: created },
+        );
+        assert.equal(data.reviewComments.length, 1);
+        assert.equal(data.reviewComments[0].isNew, true);
+    });
+
+    test("keeps unchanged comments as they are", () => {
+        const data = loadedData(created);
+        const next = applyChange(data, {
+            kind: "reviewComments",
+            action: "edited",
+            item: { ...created },
+        });
+        assert.equal(next.reviewComments[0], created);
+    });
+
+    test("removes a deleted comment", () => {
+        const next = applyChange(loadedData(created), {
+            kind: "reviewComments",
+            action: "deleted",
+            item: deleted,
+        });
+        assert.deepEqual(next.reviewComments, []);
+    });
+
+    test("leaves a deleted comment in place while it can be undone", () => {
+        const data = loadedData(created);
+        const next = applyChange(
+            data,
+            { kind: "reviewComments", action: "deleted", item: deleted },
+            { keepDeleted: (id) => id === created.id },
+        );
+        assert.equal(next, data);
+    });
+});
@@ -0,0 +1,273 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { signIn, startServer, startStub } from "./helpers/server.js";
+
+const SECRET = "webhook-test-secret";
+
+/**
+ * Reads a recorded webhook payload as the exact bytes GitHub would send
+ * @param {string} name - Fixture name without extension
+ * @returns {string} - Payload JSON
+ */
+function fixture(name) {
+    return readFileSync(
+        new URL(`fixtures/webhooks/${name}.json`, import.meta.url),
+        "utf8",
+    );
+}
+
+/**
+ * Signs a payload the way GitHub does for X-Hub-Signature-256
+ * @param {string} body - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} - Header value
+ */
+function sign(body, secret = SECRET) {
+    return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+let server;
+let baseUrl;
+let stub;
+
+/**
+ * Posts a webhook delivery to the test server
+ * @param {string} event - X-GitHub-Event header value
+ * @param {string} body - Raw request body
+ * @param {Object} options - Delivery options
+ * @param {string} [options.signature] - Signature header, defaults to a valid one
+ * @param {string} [options.path] - Request path, defaults to /api/webhook
+ * @returns {Promise<Response>} - Server response
+ */
+function deliver(event, body, { signature = sign(body), path } = {}) {
+    return fetch(`${baseUrl}${path ?? "/api/webhook"}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "X-GitHub-Event": event,
+            "X-GitHub-Delivery": "72d3162e-cc78-11e3-81ab-4c9367dc0958",
+            "X-Hub-Signature-256": signature,
+        },
+        body,
+    });
+}
+
+/**
+ * Opens the event stream of a watch and collects what arrives
+ * @param {string} watchId - Id returned by POST /api/watch
+ * @param {string} cookie - Session cookie
+ * @returns {Promise<{events: () => Array<{event: string, data: Object}>, close: () => void}>} - Events received so far and a function closing the stream
+ */
+async function openEvents(watchId, cookie) {
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}/api/events/${watchId}`, {
+        headers: { Cookie: cookie },
+        signal: controller.signal,
+    });
+    assert.equal(res.status, 200);
+
+    let text = "";
+    const decoder = new TextDecoder();
+    (async () => {
+        for await (const chunk of res.body) text += decoder.decode(chunk);
+    })().catch(() => {});
+
+    return {
+        events: () =>
+            [...text.matchAll(/^event: (\w+)\ndata: (.*)$/gm)].map(
+                ([, event, data]) => ({ event, data: JSON.parse(data) }),
+            ),
+        close: () => controller.abort(),
+    };
+}
+
+/**
+ * Waits until a condition holds or a time limit passes
+ * @param {() => boolean} condition - Condition to wait for
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise<boolean>} - Whether the condition held in time
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) return false;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return true;
+}
+
+before(async () => {
+    stub = await startStub({
+        "POST /login/device/code": () => ({
+            device_code: "device-code",
+            user_code: "ABCD-1234",
+            verification_uri: "https://github.com/login/device",
+            expires_in: 900,
+            interval: 0,
+        }),
+        "POST /login/oauth/access_token": () => ({
+            access_token: "gho_webhooktesttoken",
+            token_type: "bearer",
+        }),
+        "GET /api/v3/user": () => ({ login: "hubot", name: "Hubot" }),
+    });
+    server = await startServer({
+        GITHUB_WEBHOOK_SECRET: SECRET,
+        GITHUB_OAUTH_CLIENT_ID: "webhook-test-client",
+        GITHUB_OAUTH_BASE_URL: stub.url,
+        GITHUB_OAUTH_HOST: "github.com",
+    });
+    baseUrl = server.baseUrl;
+});
+
+after(async () => {
+    server?.stop();
+    await stub?.close();
+});
+
+describe("POST /api/webhook", () => {
+    test("accepts signed comment deliveries", async () => {
+        for (const [event, name] of [
+            ["issue_comment", "issue_comment.created"],
+            [
+                "pull_request_review_comment",
+                "pull_request_review_comment.created",
+            ],
+            [
+                "pull_request_review_comment",
+                "pull_request_review_comment.deleted",
+            ],
+            ["pull_request_review", "pull_request_review.submitted"],
+        ]) {
+            const res = await deliver(event, fixture(name));
+            assert.equal(res.status, 200, name);
+            assert.deepEqual(await res.json(), { delivered: 0 });
+        }
+    });
+
+    test("rejects a wrong signature", async () => {
+        const body = fixture("issue_comment.created");
+        const res = await deliver("issue_comment", body, {
+            signature: sign(body, "another-secret"),
+        });
+        assert.equal(res.status, 401);
+    });
+
+    test("rejects a body changed after signing", async () => {
+        const body = fixture("issue_comment.created");
+        const res = await deliver("issue_comment", body.replace("42", "43"), {
+            signature: sign(body),
+        });
+        assert.equal(res.status, 401);
+    });
+
+    test("verifies deliveries to a URL with a query string", async () => {
+        const res = await deliver(
+            "issue_comment",
+            fixture("issue_comment.created"),
+            { path: "/api/webhook?source=github" },
+        );
+        assert.equal(res.status, 200);
+    });
+
+    test("ignores comments on plain issues and other events", async () => {
+        const issue = await deliver(
+            "issue_comment",
+            fixture("issue_comment.issue"),
+        );
+        assert.equal(issue.status, 202);
+
+        const ping = await deliver("ping", JSON.stringify({ zen: "Hi" }));
+        assert.equal(ping.status, 202);
+    });
+
+    test("rejects a malformed repository html_url with 400", async () => {
+        for (const htmlUrl of ["not a url", 42, "ftp://github.com/o/r"]) {
+            const payload = JSON.parse(fixture("issue_comment.created"));
+            payload.repository.html_url = htmlUrl;
+            const body = JSON.stringify(payload);
+
+            const res = await deliver("issue_comment", body);
+            assert.equal(res.status, 400, String(htmlUrl));
+            assert.match((await res.json()).error, /html_url/);
+        }
+    });
+
+    test("rejects a payload without a repository owner with 400", async () => {
+        const payload = JSON.parse(
+            fixture("pull_request_review_comment.created"),
+        );
+        delete payload.repository.owner;
+        const body = JSON.stringify(payload);
+
+        const res = await deliver("pull_request_review_comment", body);
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /owner/);
+    });
+});
+
+describe("pushing deliveries to watchers", () => {
+    let cookie;
+    let stream;
+
+    before(async () => {
+        cookie = await signIn(baseUrl);
+
+        const res = await fetch(
+            `${baseUrl}/api/watch/octo-org/hello-world/42`,
+            {
+                method: "POST",
+                headers: { "Content-Type": "application/json", Cookie: cookie },
+                body: JSON.stringify({
+                    since: new Date().toISOString(),
+                    host: "github.com",
+                }),
+            },
+        );
+        assert.equal(res.status, 200);
+        stream = await openEvents((await res.json()).watchId, cookie);
+    });
+
+    after(() => {
+        stream?.close();
+    });
+
+    test("sends a signed delivery to watchers of the PR", async () => {
+        const body = fixture("pull_request_review_comment.created");
+        const res = await deliver("pull_request_review_comment", body);
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { delivered: 1 });
+
+        assert.ok(await waitFor(() => stream.events().length > 0));
+        const [change] = stream.events();
+        assert.equal(change.event, "change");
+        assert.equal(change.data.kind, "reviewComments");
+        assert.equal(change.data.action, "created");
+        assert.equal(change.data.item.id, JSON.parse(body).comment.id);
+    });
+
+    test("delivers nothing when the signature is wrong", async () => {
+        const received = stream.events().length;
+        const body = fixture("pull_request_review_comment.deleted");
+        const res = await deliver("pull_request_review_comment", body, {
+            signature: sign(body, "another-secret"),
+        });
+        assert.equal(res.status, 401);
+
+        assert.equal(
+            await waitFor(() => stream.events().length > received, 300),
+            false,
+        );
+    });
+
+    test("leaves watchers of other PRs alone", async () => {
+        const received = stream.events().length;
+        const payload = JSON.parse(fixture("issue_comment.created"));
+        payload.issue.number = 43;
+        const res = await deliver("issue_comment", JSON.stringify(payload));
+        assert.deepEqual(await res.json(), { delivered: 0 });
+        assert.equal(stream.events().length, received);
+    });
+});